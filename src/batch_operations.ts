@@ -1,4 +1,4 @@
-import { StreamClient, APIResponse } from './client';
+import { StreamClient, APIResponse, RequestOptions } from './client';
 import utils from './utils';
 
 type BaseFollowRelation = {
@@ -21,12 +21,19 @@ export type UnfollowRelation = BaseFollowRelation & {
  * @since 2.3.0
  * @param {ActivityType}  activity The activity to add
  * @param {string[]}  feeds    Array of feed id in form of `${feedSlug}:${feedId}`
+ * @param {RequestOptions} [requestOptions] abort signal and timeout of this call
  * @return {Promise<APIResponse>}
  */
-function addToMany<ActivityType>(this: StreamClient, activity: ActivityType, feeds: string[]) {
+function addToMany<ActivityType>(
+  this: StreamClient,
+  activity: ActivityType,
+  feeds: string[],
+  requestOptions?: RequestOptions,
+) {
   this._throwMissingApiSecret();
 
   return this.post<APIResponse>({
+    ...requestOptions,
     url: 'feed/add_to_many/',
     body: {
       activity: utils.replaceStreamObjects(activity),
@@ -43,15 +50,22 @@ function addToMany<ActivityType>(this: StreamClient, activity: ActivityType, fee
  * @since 2.3.0
  * @param {FollowRelation[]} follows  The follow relations to create: [{ source: string; target: string }]
  * @param {number}  [activityCopyLimit] How many activities should be copied from the target feed
+ * @param {RequestOptions} [requestOptions] abort signal and timeout of this call
  * @return {Promise<APIResponse>}
  */
-function followMany(this: StreamClient, follows: FollowRelation[], activityCopyLimit?: number) {
+function followMany(
+  this: StreamClient,
+  follows: FollowRelation[],
+  activityCopyLimit?: number,
+  requestOptions?: RequestOptions,
+) {
   this._throwMissingApiSecret();
 
   const qs: { activity_copy_limit?: number } = {};
   if (typeof activityCopyLimit === 'number') qs.activity_copy_limit = activityCopyLimit;
 
   return this.post<APIResponse>({
+    ...requestOptions,
     url: 'follow_many/',
     body: follows,
     qs,
@@ -65,12 +79,14 @@ function followMany(this: StreamClient, follows: FollowRelation[], activityCopyL
  * @memberof StreamClient.prototype
  * @since 3.15.0
  * @param {UnfollowRelation[]}  unfollows The follow relations to remove: [{ source: string; target: string }]
+ * @param {RequestOptions} [requestOptions] abort signal and timeout of this call
  * @return {Promise<APIResponse>}
  */
-function unfollowMany(this: StreamClient, unfollows: UnfollowRelation[]) {
+function unfollowMany(this: StreamClient, unfollows: UnfollowRelation[], requestOptions?: RequestOptions) {
   this._throwMissingApiSecret();
 
   return this.post<APIResponse>({
+    ...requestOptions,
     url: 'unfollow_many/',
     body: unfollows,
     token: this.getOrCreateToken(),
@@ -0,0 +1,128 @@
+export type CacheResource = 'collections' | 'feeds' | 'users';
+
+/**
+ * Key value store holding cached responses, values are JSON strings and ttl is in milliseconds
+ * methods can return promises so a shared store such as Redis can be plugged in
+ */
+export type CacheStore = {
+  get(key: string): string | null | undefined | Promise<string | null | undefined>;
+  set(key: string, value: string, ttl: number): void | Promise<void>;
+};
+
+export type CacheOptions = {
+  maxEntries?: number;
+  store?: CacheStore;
+  ttl?: Partial<Record<CacheResource, number>>;
+};
+
+const defaultTTL: Record<CacheResource, number> = {
+  collections: 60 * 1000,
+  feeds: 10 * 1000,
+  users: 60 * 1000,
+};
+
+function cacheKey(resource: CacheResource, id: string) {
+  return `stream:${resource}:${id}`;
+}
+
+/**
+ * In memory store evicting the least recently used entries once maxEntries is reached
+ */
+export class MemoryCacheStore implements CacheStore {
+  maxEntries: number;
+  private entries: Map<string, { expires: number; value: string }>;
+
+  /**
+   * @method constructor
+   * @memberof MemoryCacheStore.prototype
+   * @param {number} [maxEntries=500] - number of entries kept before evicting the least recently used
+   */
+  constructor(maxEntries = 500) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key: string) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    if (entry.expires <= Date.now()) return undefined;
+
+    // re-insert so iteration order goes from least to most recently used
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key: string, value: string, ttl: number) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expires: Date.now() + ttl });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value as string);
+    }
+  }
+}
+
+/**
+ * Caches read responses per resource, each variant of a resource (e.g. the pages of a feed) is a store entry
+ * under the current generation of the resource, a mutation starts a new generation so every variant is evicted at once
+ */
+export class ResponseCache {
+  store: CacheStore;
+  ttl: Record<CacheResource, number>;
+
+  /**
+   * @method constructor
+   * @memberof ResponseCache.prototype
+   * @param {CacheOptions} [options]
+   * @param {CacheStore} [options.store] - where responses are kept, default to a MemoryCacheStore
+   * @param {number} [options.maxEntries] - size of the default MemoryCacheStore
+   * @param {object} [options.ttl] - milliseconds a response stays valid for collections, feeds and users
+   */
+  constructor({ store, maxEntries, ttl }: CacheOptions = {}) {
+    this.store = store || new MemoryCacheStore(maxEntries);
+    this.ttl = { ...defaultTTL, ...(ttl || {}) };
+  }
+
+  /**
+   * Return the cached response or load and cache it
+   * @method read
+   * @memberof ResponseCache.prototype
+   * @param {CacheResource} resource - kind of resource, selects the ttl
+   * @param {string} id - resource id, the unit of invalidation
+   * @param {string} variant - identifies the request options of this read
+   * @param {function} load - sends the request
+   * @return {Promise<T>}
+   */
+  async read<T>(resource: CacheResource, id: string, variant: string, load: () => Promise<T>): Promise<T> {
+    const ttl = this.ttl[resource];
+    if (!ttl) return load();
+
+    const key = cacheKey(resource, id);
+    // a response loaded while the resource is invalidated is stored under the old generation and never read
+    const generation = (await this.store.get(`${key}:generation`)) || '0';
+    const variantKey = `${key}:${generation}:${variant}`;
+
+    const cached = await this.store.get(variantKey);
+    if (cached) return JSON.parse(cached) as T;
+
+    const value = await load();
+    await this.store.set(variantKey, JSON.stringify(value), ttl);
+    return value;
+  }
+
+  /**
+   * Evict every cached response of a resource
+   * @method invalidate
+   * @memberof ResponseCache.prototype
+   * @param {CacheResource} resource
+   * @param {string} id
+   * @return {Promise<void>}
+   */
+  async invalidate(resource: CacheResource, id: string) {
+    const generation = `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+    // outlives the entries of the previous generation so they cannot be read again
+    await this.store.set(`${cacheKey(resource, id)}:generation`, generation, this.ttl[resource]);
+  }
+}
@@ -0,0 +1,183 @@
+import * as axios from 'axios';
+import * as fs from 'fs';
+
+import { Transport } from './transport';
+
+export type CassetteRequest = {
+  headers: Record<string, unknown>;
+  method: string;
+  params: Record<string, unknown>;
+  url: string;
+  data?: unknown;
+};
+
+export type CassetteResponse = {
+  data: unknown;
+  headers: Record<string, unknown>;
+  status: number;
+  statusText: string;
+};
+
+/**
+ * Request and response pair of a cassette, credentials of the request are scrubbed
+ */
+export type CassetteInteraction = {
+  request: CassetteRequest;
+  response: CassetteResponse;
+};
+
+const scrubbed = '[scrubbed]';
+
+function isJSON(data: unknown) {
+  return typeof data === 'string' || Array.isArray(data) || Object.prototype.toString.call(data) === '[object Object]';
+}
+
+function scrubRequest({ method, url, params = {}, headers = {}, data }: axios.AxiosRequestConfig): CassetteRequest {
+  const request: CassetteRequest = {
+    method: (method || 'GET').toUpperCase(),
+    url: (url || '').replace(/([?&]api_key=)[^&]*/, `$1${scrubbed}`),
+    params: { ...params },
+    headers: { ...headers },
+  };
+  if (request.params.api_key !== undefined) request.params.api_key = scrubbed;
+  Object.keys(request.headers).forEach((key) => {
+    if (key.toLowerCase() === 'authorization') request.headers[key] = scrubbed;
+  });
+  // uploads are recorded without their body
+  if (data !== undefined && isJSON(data)) request.data = JSON.parse(JSON.stringify(data));
+  return request;
+}
+
+/*
+ * Identify a scrubbed request by method, url, query string and body, headers are ignored
+ */
+function interactionKey({ method, url, params, data }: CassetteRequest) {
+  const query = Object.keys(params)
+    .filter((key) => params[key] !== undefined)
+    .sort()
+    .map((key) => `${key}=${JSON.stringify(params[key])}`)
+    .join('&');
+
+  return `${method} ${url}?${query} ${data === undefined ? '' : JSON.stringify(data)}`;
+}
+
+/**
+ * Request and response pairs recorded from the API to run tests offline
+ * record() wraps a transport to save what it sends and receives, replay() answers the same requests
+ * from the cassette, in the recorded order, and rejects the requests that were not recorded
+ */
+export class Cassette {
+  interactions: CassetteInteraction[];
+  private played: boolean[];
+
+  /**
+   * @method constructor
+   * @memberof Cassette.prototype
+   * @param {CassetteInteraction[]} [interactions] - pairs recorded before
+   */
+  constructor(interactions: CassetteInteraction[] = []) {
+    this.interactions = interactions;
+    this.played = [];
+  }
+
+  /**
+   * Read a cassette saved as JSON
+   * @method load
+   * @memberof Cassette
+   * @param {string} path
+   * @return {Cassette}
+   */
+  static load(path: string) {
+    const { interactions } = JSON.parse(fs.readFileSync(path, 'utf8')) as { interactions: CassetteInteraction[] };
+    return new Cassette(interactions);
+  }
+
+  /**
+   * Write the cassette as JSON
+   * @method save
+   * @memberof Cassette.prototype
+   * @param {string} path
+   */
+  save(path: string) {
+    fs.writeFileSync(path, `${JSON.stringify({ interactions: this.interactions }, null, 2)}\n`);
+  }
+
+  /**
+   * Transport sending requests with another transport and recording each request with its response,
+   * the Authorization header and the api_key param are scrubbed. Network errors are not recorded
+   * @method record
+   * @memberof Cassette.prototype
+   * @param {Transport} [transport] - sends the requests, defaults to axios
+   * @return {Transport}
+   * @example
+   * const cassette = new Cassette();
+   * const client = connect(apiKey, apiSecret, appId, { transport: cassette.record() });
+   * await client.feed('user', 'alice').get();
+   * cassette.save('test/cassettes/feed.json');
+   */
+  record(transport: Transport = axios.default.request): Transport {
+    return (config) => {
+      const save = ({ data, headers, status, statusText }: axios.AxiosResponse) => {
+        this.interactions.push({
+          request: scrubRequest(config),
+          response: { data, headers: { ...headers }, status, statusText },
+        });
+      };
+
+      return transport(config).then(
+        (response) => {
+          save(response);
+          return response;
+        },
+        (error) => {
+          if (error && error.response) save(error.response);
+          throw error;
+        },
+      );
+    };
+  }
+
+  /**
+   * Transport answering from the cassette without network, identical requests get the responses
+   * in the order they were recorded. A request missing from the cassette is rejected
+   * @method replay
+   * @memberof Cassette.prototype
+   * @return {Transport}
+   * @example connect(apiKey, apiSecret, appId, { transport: Cassette.load('test/cassettes/feed.json').replay() })
+   */
+  replay(): Transport {
+    return (config) =>
+      Promise.resolve().then(() => {
+        const key = interactionKey(scrubRequest(config));
+        let index = -1;
+        for (let i = 0; i < this.interactions.length && index === -1; i++) {
+          if (!this.played[i] && interactionKey(this.interactions[i].request) === key) index = i;
+        }
+        if (index === -1) {
+          throw Object.assign(new Error(`No response recorded in the cassette for ${key}`), { config });
+        }
+
+        this.played[index] = true;
+        const { data, headers, status, statusText } = this.interactions[index].response;
+        const response: axios.AxiosResponse = {
+          data: data === undefined ? data : JSON.parse(JSON.stringify(data)),
+          headers: { ...headers },
+          status,
+          statusText,
+          config,
+        };
+        if (status >= 200 && status < 300) return response;
+        throw Object.assign(new Error(`Request failed with status code ${status}`), { config, response });
+      });
+  }
+
+  /**
+   * Recorded pairs that replay() has not served yet
+   * @method pending
+   * @memberof Cassette.prototype
+   * @return {CassetteInteraction[]}
+   */
+  pending() {
+    return this.interactions.filter((_, i) => !this.played[i]);
+  }
+}
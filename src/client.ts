@@ -12,15 +12,22 @@ import { StreamFileStore } from './files';
 import { StreamImageStore } from './images';
 import { StreamReaction } from './reaction';
 import { StreamUser } from './user';
-import { JWTScopeToken, JWTUserSessionToken } from './signing';
-import { FeedError, StreamApiError, SiteError } from './errors';
-import utils from './utils';
+import { JWTScopeToken, JWTUserSessionToken, JWTVerifyToken, TokenOptions } from './signing';
+import { AbortError, AuthenticationError, FeedError, SiteError, createStreamApiError } from './errors';
+import utils, { SignalCancelToken } from './utils';
+import retry, { RetryOptions } from './retry';
+import rateLimit, { RateLimit } from './rate_limit';
+import { Transport } from './transport';
+import { CacheOptions, CacheResource, ResponseCache } from './cache';
+import { RealtimeState } from './realtime';
 import BatchOperations, { FollowRelation, UnfollowRelation } from './batch_operations';
 import createRedirectUrl from './redirect_url';
+import { resolveReferences } from './references';
 import {
   StreamFeed,
   UpdateActivity,
   Activity,
+  EnrichedActivity,
   EnrichOptions,
   PersonalizationFeedAPIResponse,
   GetActivitiesAPIResponse,
@@ -31,6 +38,18 @@ import {
 // eslint-disable-next-line @typescript-eslint/no-var-requires
 const pkg = require('../package.json');
 
+// state of a Faye client stopped by disconnectRealtime before it is connected
+type FayeClientInternals = {
+  _advice: { reconnect: string };
+  _dispatcher: { close: () => void };
+  _state: number;
+  DISCONNECTED: number;
+  NONE: string;
+};
+
+// previous user tokens still replaced by the current one, the oldest are forgotten
+const maxReplacedTokens = 100;
+
 export type UnknownRecord = Record<string, unknown>;
 
 export type APIResponse = { duration?: string };
@@ -41,6 +60,8 @@ export type OnUploadProgress = (progressEvent: ProgressEvent) => void;
 
 export type ClientOptions = {
   browser?: boolean;
+  cache?: CacheOptions;
+  dedupe?: boolean;
   expireTokens?: boolean;
   fayeUrl?: string;
   group?: string;
@@ -48,7 +69,11 @@ export type ClientOptions = {
   local?: boolean;
   location?: string;
   protocol?: string;
+  retry?: RetryOptions;
+  throttle?: boolean;
   timeout?: number;
+  tokenProvider?: () => Promise<string>;
+  transport?: Transport;
   urlOverride?: Record<string, string>;
   version?: string;
 };
@@ -91,7 +116,12 @@ export type OGAPIResponse = APIResponse & {
   videos?: OGVideo[];
 };
 
-type AxiosConfig = {
+export type RequestOptions = {
+  signal?: AbortSignal;
+  timeout?: number;
+};
+
+export type AxiosConfig = RequestOptions & {
   token: string;
   url: string;
   axiosOptions?: axios.AxiosRequestConfig;
@@ -103,6 +133,13 @@ type AxiosConfig = {
 
 export type HandlerCallback = (...args: unknown[]) => unknown;
 
+export type MiddlewareRequest = AxiosConfig & { method: axios.Method };
+
+export type Middleware = (
+  request: MiddlewareRequest,
+  next: (nextRequest: MiddlewareRequest) => Promise<unknown>,
+) => Promise<unknown>;
+
 export type ForeignIDTimes = { foreignID: string; time: Date | string };
 
 export type ActivityPartialChanges<ActivityType extends UnknownRecord = UnknownRecord> = Partial<ForeignIDTimes> & {
@@ -140,16 +177,16 @@ export class StreamClient<
   expireTokens: boolean;
   location: string;
   fayeClient: Faye.Client | null;
+  realtimeState: RealtimeState;
   browser: boolean;
   node: boolean;
   nodeOptions?: { httpAgent: http.Agent; httpsAgent: https.Agent };
 
-  request: axios.AxiosInstance;
-  subscriptions: Record<
-    string,
-    { fayeSubscription: Faye.Subscription | Promise<Faye.Subscription>; token: string; userId: string }
-  >;
-  handlers: Record<string, HandlerCallback>;
+  request: Transport;
+  subscriptions: Record<string, { fayeSubscriptions: Faye.Subscription[]; token: string; userId: string }>;
+  handlers: Record<string, HandlerCallback[]>;
+  middlewares: Middleware[];
+  cache?: ResponseCache;
 
   currentUser?: StreamUser<UserType>;
   personalization: Personalization<PersonalizationType>;
@@ -158,14 +195,37 @@ export class StreamClient<
   images: StreamImageStore;
   reactions: StreamReaction<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>;
 
+  private _rateLimits: Record<string, RateLimit>;
+
+  private _inFlight: Record<string, Promise<unknown>>;
+
+  private _userTokenExpiry?: number;
+
+  private _replacedTokens: Record<string, boolean>;
+
+  private _tokenRefresh?: Promise<string>;
   private _personalizationToken?: string;
   private _collectionsToken?: string;
   private _getOrCreateToken?: string;
 
   // eslint-disable-next-line no-shadow
-  addToMany?: <ActivityType>(this: StreamClient, activity: ActivityType, feeds: string[]) => Promise<APIResponse>;
-  followMany?: (this: StreamClient, follows: FollowRelation[], activityCopyLimit?: number) => Promise<APIResponse>;
-  unfollowMany?: (this: StreamClient, unfollows: UnfollowRelation[]) => Promise<APIResponse>;
+  addToMany?: <ActivityType>(
+    this: StreamClient,
+    activity: ActivityType,
+    feeds: string[],
+    requestOptions?: RequestOptions,
+  ) => Promise<APIResponse>;
+  followMany?: (
+    this: StreamClient,
+    follows: FollowRelation[],
+    activityCopyLimit?: number,
+    requestOptions?: RequestOptions,
+  ) => Promise<APIResponse>;
+  unfollowMany?: (
+    this: StreamClient,
+    unfollows: UnfollowRelation[],
+    requestOptions?: RequestOptions,
+  ) => Promise<APIResponse>;
   createRedirectUrl?: (this: StreamClient, targetUrl: string, userId: string, events: unknown[]) => string;
 
   /**
@@ -181,6 +241,12 @@ export class StreamClient<
    * @param {string} [options.version] - advanced usage, custom api version
    * @param {boolean} [options.keepAlive] - axios keepAlive, default to true
    * @param {number} [options.timeout] - axios timeout in Ms, default to 10s
+   * @param {RetryOptions} [options.retry] - retry failed requests with exponential backoff, disabled by default
+   * @param {boolean} [options.throttle] - delay requests to an endpoint whose rate limit is exhausted until it resets
+   * @param {Transport} [options.transport] - send requests with a custom transport such as fetchTransport(), default to axios
+   * @param {boolean} [options.dedupe] - share one network call between identical GET requests in flight at the same time
+   * @param {CacheOptions} [options.cache] - cache feed reads, users and collection entries, disabled by default
+   * @param {function} [options.tokenProvider] - returns a new user token, called before the current one expires and after a 401
    * @example <caption>initialize is not directly called by via stream.connect, ie:</caption>
    * stream.connect(apiKey, apiSecret)
    * @example <caption>secret is optional and only used in server side mode</caption>
@@ -194,13 +260,16 @@ export class StreamClient<
     this.apiSecret = this.usingApiSecret ? apiSecretOrToken : null;
     this.userToken = this.usingApiSecret ? null : apiSecretOrToken;
     this.enrichByDefault = !this.usingApiSecret;
+    // user tokens replaced by refreshToken, requests still carrying them are sent with the current one
+    this._replacedTokens = {};
 
     if (this.userToken != null) {
-      const jwtBody: { user_id?: string } = jwtDecode(this.userToken);
+      const jwtBody: { exp?: number; user_id?: string } = jwtDecode(this.userToken);
       if (!jwtBody.user_id) {
         throw new TypeError('user_id is missing in user token');
       }
       this.userId = jwtBody.user_id;
+      this._userTokenExpiry = jwtBody.exp ? jwtBody.exp * 1000 : undefined;
       this.currentUser = this.user(this.userId);
     }
 
@@ -209,6 +278,7 @@ export class StreamClient<
     this.version = this.options.version || 'v1.0';
     this.fayeUrl = this.options.fayeUrl || 'https://faye-us-east.stream-io-api.com/faye';
     this.fayeClient = null;
+    this.realtimeState = 'disconnected';
     // track a source name for the api calls, ie get started or databrowser
     this.group = this.options.group || 'unspecified';
     // track subscriptions made on feeds created by this client
@@ -223,22 +293,34 @@ export class StreamClient<
       this.baseAnalyticsUrl = process.env.STREAM_ANALYTICS_BASE_URL;
 
     this.handlers = {};
+    this.middlewares = [];
+    // last quota reported by the api for each endpoint
+    this._rateLimits = {};
+    // identical GET requests waiting for a response
+    this._inFlight = {};
+    if (this.options.cache) this.cache = new ResponseCache(this.options.cache);
     this.browser = typeof this.options.browser !== 'undefined' ? this.options.browser : typeof window !== 'undefined';
     this.node = !this.browser;
 
-    if (this.node) {
-      const keepAlive = this.options.keepAlive === undefined ? true : this.options.keepAlive;
-      this.nodeOptions = {
-        httpAgent: new http.Agent({ keepAlive, keepAliveMsecs: 3000 }),
-        httpsAgent: new https.Agent({ keepAlive, keepAliveMsecs: 3000 }),
-      };
-    }
-
-    this.request = axios.default.create({
+    const requestDefaults = {
       timeout: this.options.timeout || 10 * 1000, // 10 seconds
       withCredentials: false, // making sure cookies are not sent
-      ...(this.nodeOptions || {}),
-    });
+    };
+
+    const { transport } = this.options;
+    if (transport) {
+      this.request = (config) => transport({ ...requestDefaults, ...config });
+    } else {
+      if (this.node) {
+        const keepAlive = this.options.keepAlive === undefined ? true : this.options.keepAlive;
+        this.nodeOptions = {
+          httpAgent: new http.Agent({ keepAlive, keepAliveMsecs: 3000 }),
+          httpsAgent: new https.Agent({ keepAlive, keepAliveMsecs: 3000 }),
+        };
+      }
+
+      this.request = axios.default.create({ ...requestDefaults, ...(this.nodeOptions || {}) });
+    }
 
     this.personalization = new Personalization<PersonalizationType>(this);
 
@@ -338,9 +420,15 @@ export class StreamClient<
    * @example
    * client.on('request', callback);
    * client.on('response', callback);
+   * client.on('error', callback);
+   * @example <caption>realtime connection state</caption>
+   * client.on('connecting', callback);
+   * client.on('connected', callback);
+   * client.on('reconnecting', callback);
+   * client.on('disconnected', (error) => error && console.error(error));
    */
   on(event: string, callback: HandlerCallback) {
-    this.handlers[event] = callback;
+    this.handlers[event] = [...(this.handlers[event] || []), callback];
   }
 
   /**
@@ -348,15 +436,19 @@ export class StreamClient<
    * @method off
    * @memberof StreamClient.prototype
    * @param {string} [key] - Name of the handler
+   * @param {function} [callback] - The callback to remove, all callbacks of the event if omitted
    * @example
    * client.off() removes all handlers
    * client.off(name) removes the specified handler
+   * client.off(name, callback) removes only this callback
    */
-  off(key?: string) {
+  off(key?: string, callback?: HandlerCallback) {
     if (key === undefined) {
       this.handlers = {};
-    } else {
+    } else if (callback === undefined) {
       delete this.handlers[key];
+    } else if (this.handlers[key]) {
+      this.handlers[key] = this.handlers[key].filter((handler) => handler !== callback);
     }
   }
 
@@ -367,7 +459,28 @@ export class StreamClient<
    * @access private
    */
   send(key: string, ...args: unknown[]) {
-    if (this.handlers[key]) this.handlers[key].apply(this, args);
+    if (this.handlers[key]) this.handlers[key].forEach((handler) => handler.apply(this, args));
+  }
+
+  /**
+   * Add a middleware to the request pipeline
+   * Middlewares run in the order they were added, each one can rewrite the request before passing it on with next,
+   * return a response without calling next or catch and transform the errors thrown by next
+   * @method use
+   * @memberof StreamClient.prototype
+   * @param {Middleware} middleware - Function called with the request and the next middleware of the chain
+   * @return {StreamClient}
+   * @example
+   * client.use(async (request, next) => {
+   *   const start = Date.now();
+   *   const response = await next({ ...request, headers: { ...request.headers, 'X-Trace-Id': traceId } });
+   *   console.log(request.method, request.url, Date.now() - start);
+   *   return response;
+   * });
+   */
+  use(middleware: Middleware) {
+    this.middlewares.push(middleware);
+    return this;
   }
 
   /**
@@ -387,14 +500,17 @@ export class StreamClient<
    * @memberof StreamClient.prototype
    * @param {string} feedSlug - The feed slug to get a read only token for
    * @param {string} userId - The user identifier
+   * @param {TokenOptions} [options] - expiresIn, exp, nbf and extra claims of the token
    * @return {string} token
    * @example client.getReadOnlyToken('user', '1');
+   * @example client.getReadOnlyToken('user', '1', { expiresIn: '1h' });
    */
-  getReadOnlyToken(feedSlug: string, userId: string) {
+  getReadOnlyToken(feedSlug: string, userId: string, options: TokenOptions = {}) {
     utils.validateFeedSlug(feedSlug);
     utils.validateUserId(userId);
 
     return JWTScopeToken(this.apiSecret as string, '*', 'read', {
+      ...options,
       feedId: `${feedSlug}${userId}`,
       expireTokens: this.expireTokens,
     });
@@ -407,14 +523,17 @@ export class StreamClient<
    * @memberof StreamClient.prototype
    * @param {string} feedSlug - The feed slug to get a read only token for
    * @param {string} userId - The user identifier
+   * @param {TokenOptions} [options] - expiresIn, exp, nbf and extra claims of the token
    * @return {string} token
    * @example client.getReadWriteToken('user', '1');
+   * @example client.getReadWriteToken('user', '1', { expiresIn: '1h' });
    */
-  getReadWriteToken(feedSlug: string, userId: string) {
+  getReadWriteToken(feedSlug: string, userId: string, options: TokenOptions = {}) {
     utils.validateFeedSlug(feedSlug);
     utils.validateUserId(userId);
 
     return JWTScopeToken(this.apiSecret as string, '*', '*', {
+      ...options,
       feedId: `${feedSlug}${userId}`,
       expireTokens: this.expireTokens,
     });
@@ -523,7 +642,13 @@ export class StreamClient<
    * @param {AxiosConfig} kwargs
    * @return {axios.AxiosRequestConfig}
    */
-  enrichKwargs({ method, token, ...kwargs }: AxiosConfig & { method: axios.Method }): axios.AxiosRequestConfig {
+  enrichKwargs({
+    method,
+    token,
+    signal,
+    timeout,
+    ...kwargs
+  }: AxiosConfig & { method: axios.Method }): axios.AxiosRequestConfig {
     return {
       method,
       url: this.enrichUrl(kwargs.url, kwargs.serviceName),
@@ -536,10 +661,12 @@ export class StreamClient<
       headers: {
         'X-Stream-Client': this.userAgent(),
         'stream-auth-type': 'jwt',
-        Authorization: token,
+        Authorization: this._currentToken(token),
         ...(kwargs.headers || {}),
       },
       ...(kwargs.axiosOptions || {}),
+      ...(timeout !== undefined ? { timeout } : {}),
+      ...(signal ? { cancelToken: utils.cancelTokenFromSignal(signal) } : {}),
     };
   }
 
@@ -560,7 +687,7 @@ export class StreamClient<
           message.ext = {
             user_id: subscription.userId,
             api_key: this.apiKey,
-            signature: subscription.token,
+            signature: this._currentToken(subscription.token),
           };
         }
 
@@ -579,36 +706,247 @@ export class StreamClient<
    */
   getFayeClient(timeout = 10) {
     if (this.fayeClient === null) {
-      this.fayeClient = new Faye.Client(this.fayeUrl, { timeout });
+      const fayeClient = new Faye.Client(this.fayeUrl, { timeout });
+      this.fayeClient = fayeClient;
       const authExtension = this.getFayeAuthorization();
-      this.fayeClient.addExtension(authExtension);
+      fayeClient.addExtension(authExtension);
+
+      // events of a client torn down by disconnectRealtime are ignored
+      const current = () => this.fayeClient === fayeClient;
+      fayeClient.addExtension({
+        incoming: (message: Faye.Message, callback: Faye.Callback) => {
+          if (message.channel === '/meta/handshake' && current()) {
+            if (message.successful) {
+              this._setRealtimeState('connected');
+            } else {
+              this._setRealtimeState('disconnected', new SiteError(`Realtime handshake failed: ${message.error}`));
+            }
+          }
+          callback(message);
+        },
+        outgoing: (message: Faye.Message, callback: Faye.Callback) => callback(message),
+      });
+      fayeClient.on('transport:down', () => {
+        if (current()) this._setRealtimeState('reconnecting');
+      });
+      fayeClient.on('transport:up', () => {
+        if (current() && this.realtimeState === 'reconnecting') this._setRealtimeState('connected');
+      });
+
+      this._setRealtimeState('connecting');
     }
 
     return this.fayeClient;
   }
 
+  /**
+   * Update the realtime connection state and emit it as an event, with the handshake error if any
+   * Faye subscribes to the channels again itself when it has to handshake again after a lost connection
+   * @method _setRealtimeState
+   * @memberof StreamClient.prototype
+   * @private
+   * @param {RealtimeState} state
+   * @param {Error} [error]
+   */
+  _setRealtimeState(state: RealtimeState, error?: Error) {
+    if (state === this.realtimeState && !error) return;
+    this.realtimeState = state;
+    this.send(state, error);
+  }
+
+  /**
+   * Cancel every feed subscription and close the realtime connection
+   * @method disconnectRealtime
+   * @memberof StreamClient.prototype
+   * @example
+   * client.on('disconnected', () => showOffline());
+   * client.disconnectRealtime();
+   */
+  disconnectRealtime() {
+    const { fayeClient, subscriptions } = this;
+    this.fayeClient = null;
+    this.subscriptions = {};
+
+    Object.keys(subscriptions).forEach((channel) => {
+      subscriptions[channel].fayeSubscriptions.forEach((fayeSubscription) => fayeSubscription.cancel());
+    });
+    if (fayeClient && !fayeClient.disconnect()) {
+      // disconnect() only acts on a connected client, one still handshaking would keep retrying
+      const internals = (fayeClient as unknown) as FayeClientInternals;
+      internals._advice.reconnect = internals.NONE;
+      internals._state = internals.DISCONNECTED;
+      internals._dispatcher.close();
+    }
+
+    this._setRealtimeState('disconnected');
+  }
+
+  /**
+   * Serve a read from the response cache when it is enabled
+   * @method cached
+   * @memberof StreamClient.prototype
+   * @private
+   * @param {CacheResource} resource
+   * @param {string} id - resource id
+   * @param {object} variant - request options the response depends on
+   * @param {function} load - sends the request
+   * @return {Promise<T>}
+   */
+  cached<T>(resource: CacheResource, id: string, variant: unknown, load: () => Promise<T>) {
+    if (!this.cache) return load();
+    return this.cache.read(resource, id, JSON.stringify(variant), load);
+  }
+
+  /**
+   * Evict the cached responses of a resource after this client mutated it
+   * @method invalidate
+   * @memberof StreamClient.prototype
+   * @private
+   * @param {CacheResource} resource
+   * @param {string[]} ids - resource ids
+   * @return {Promise<void>}
+   */
+  async invalidate(resource: CacheResource, ...ids: string[]) {
+    const { cache } = this;
+    if (cache) await Promise.all(ids.map((id) => cache.invalidate(resource, id)));
+  }
+
+  /**
+   * Evict the cached responses of a resource once the request mutating it succeeded
+   * @method invalidateAfter
+   * @memberof StreamClient.prototype
+   * @private
+   * @param {Promise<T>} request - the mutation
+   * @param {CacheResource} resource
+   * @param {string[]} ids - resource ids
+   * @return {Promise<T>} the mutation response
+   */
+  async invalidateAfter<T>(request: Promise<T>, resource: CacheResource, ids: string[]) {
+    const response = await request;
+    await this.invalidate(resource, ...ids);
+    return response;
+  }
+
+  /**
+   * Returns the last rate limit quota reported by the api, keyed by endpoint ie "GET feed/:feed_slug/:user_id/",
+   * the requests to the feeds, users, entries and reactions of an endpoint share its quota
+   * @method getRateLimits
+   * @memberof StreamClient.prototype
+   * @return {Record<string, RateLimit>}
+   * @example client.getRateLimits()['POST follow_many/'].remaining
+   */
+  getRateLimits() {
+    const rateLimits: Record<string, RateLimit> = {};
+    Object.keys(this._rateLimits).forEach((endpoint) => {
+      rateLimits[endpoint] = { ...this._rateLimits[endpoint] };
+    });
+    return rateLimits;
+  }
+
+  _trackRateLimit(endpoint: string, response: axios.AxiosResponse) {
+    const limit = rateLimit.parseRateLimit(response.headers);
+    if (limit) rateLimit.trackRateLimit(this._rateLimits, endpoint, limit);
+  }
+
+  _throttle = async (endpoint: string, cancelToken?: axios.CancelToken): Promise<void> => {
+    if (!this.options.throttle) return;
+
+    const delay = rateLimit.throttleDelay(this._rateLimits[endpoint]);
+    if (delay > 0) {
+      await retry.sleep(delay, cancelToken);
+      return this._throttle(endpoint, cancelToken);
+    }
+
+    // reserve a slot so concurrent requests don't all spend the same one
+    const limit = this._rateLimits[endpoint];
+    if (limit && limit.reset.getTime() > Date.now()) limit.remaining -= 1;
+  };
+
   handleResponse = <T>(response: axios.AxiosResponse<T>): T => {
     if (/^2/.test(`${response.status}`)) {
       this.send('response', null, response, response.data);
       return response.data;
     }
 
-    throw new StreamApiError(
-      `${JSON.stringify(response.data)} with HTTP status code ${response.status}`,
-      response.data,
-      response,
-    );
+    throw createStreamApiError(response);
   };
 
   doAxiosRequest = async <T>(method: axios.Method, options: AxiosConfig): Promise<T> => {
+    try {
+      return (await this._dispatch({ method, ...options })) as T;
+    } catch (error) {
+      this.send('error', error, method, options);
+      throw error;
+    }
+  };
+
+  _dispatch = async (request: MiddlewareRequest, index = 0): Promise<unknown> => {
+    const middleware = this.middlewares[index];
+    if (middleware) return middleware(request, (next) => this._dispatch(next, index + 1));
+
+    const { method, ...options } = request;
     this.send('request', method, options);
 
+    const refreshable = this._usesRefreshableToken(request.token);
+    // refresh a bit before the token expires so it does not expire in flight
+    if (refreshable && this._userTokenExpiry !== undefined && this._userTokenExpiry - Date.now() < 30 * 1000) {
+      await this.refreshToken();
+    }
+
+    const sentToken = this.userToken;
     try {
-      const response = await this.request(this.enrichKwargs({ method, ...options }));
+      return await this._send(request);
+    } catch (error) {
+      if (!refreshable || !(error instanceof AuthenticationError) || error.statusCode !== 401) throw error;
+      // another request may have refreshed the token already
+      if (this.userToken === sentToken) await this.refreshToken();
+      return this._send(request);
+    }
+  };
+
+  _send = (request: MiddlewareRequest): Promise<unknown> => {
+    const { method, ...options } = request;
+    const kwargs = this.enrichKwargs(request);
+    const endpoint = rateLimit.endpointKey(method, options.url);
+    // a request with its own signal can be aborted on its own so it is never shared
+    if (!this.options.dedupe || method.toUpperCase() !== 'GET' || request.signal) {
+      const response = this._requestWithRetry(kwargs, endpoint);
+      const { cancelToken } = kwargs as { cancelToken?: Partial<SignalCancelToken> };
+      if (cancelToken && cancelToken.release) response.then(cancelToken.release, cancelToken.release);
+      return response;
+    }
+
+    const key = utils.requestKey(kwargs);
+    if (!this._inFlight[key]) {
+      const clear = () => {
+        delete this._inFlight[key];
+      };
+      this._inFlight[key] = this._requestWithRetry(kwargs, endpoint);
+      this._inFlight[key].then(clear, clear);
+    }
+    return this._inFlight[key];
+  };
+
+  _requestWithRetry = async <T>(kwargs: axios.AxiosRequestConfig, endpoint: string, attempt = 1): Promise<T> => {
+    try {
+      await this._throttle(endpoint, kwargs.cancelToken);
+      if (kwargs.cancelToken) kwargs.cancelToken.throwIfRequested();
+      const response = await this.request(kwargs);
+      this._trackRateLimit(endpoint, response);
       return this.handleResponse(response);
     } catch (error) {
+      if (error instanceof AbortError) throw error;
+      if (axios.default.isCancel(error)) throw new AbortError(error.message || 'Request aborted');
+      if (error.response) this._trackRateLimit(endpoint, error.response);
+
+      const delay = retry.retryDelay(this.options.retry, kwargs.method as axios.Method, attempt, error.response);
+      if (delay !== null) {
+        await retry.sleep(delay, kwargs.cancelToken);
+        return this._requestWithRetry<T>(kwargs, endpoint, attempt + 1);
+      }
+
       if (error.response) return this.handleResponse(error.response);
-      throw new SiteError(error.message);
+      throw new SiteError(error.message, error);
     }
   };
 
@@ -618,9 +956,11 @@ export class StreamClient<
     name?: string,
     contentType?: string,
     onUploadProgress?: OnUploadProgress,
+    requestOptions?: RequestOptions,
   ) {
     const fd = utils.addFileToFormData(uri, name, contentType);
     return this.doAxiosRequest<FileUploadAPIResponse>('POST', {
+      ...requestOptions,
       url,
       body: fd,
       headers: fd.getHeaders ? fd.getHeaders() : {}, // node vs browser
@@ -685,23 +1025,44 @@ export class StreamClient<
   /**
    * @param {string} userId
    * @param {object} extraData
+   * @param {TokenOptions} [options] - expiresIn, exp, nbf and extra claims of the token
    * @return {string}
+   * @example client.createUserToken('42', {}, { expiresIn: 3600 })
    */
-  createUserToken(userId: string, extraData = {}) {
+  createUserToken(userId: string, extraData = {}, options: TokenOptions = {}) {
     this._throwMissingApiSecret();
 
     return JWTUserSessionToken(this.apiSecret as string, userId, extraData, {
+      ...options,
       noTimestamp: !this.expireTokens,
     });
   }
 
+  /**
+   * Verifies a token was signed with the api secret of this client and is not expired, then decodes it
+   * @method verifyToken
+   * @memberof StreamClient.prototype
+   * @param {string} token - JWT token
+   * @param {object} [options]
+   * @param {number} [options.clockTolerance] - seconds of clock skew allowed when checking exp and nbf
+   * @return {TokenPayload} decoded payload
+   * @throws {TokenError} the token is invalid, expired or not valid yet
+   * @example const { user_id } = client.verifyToken(req.headers.authorization)
+   */
+  verifyToken(token: string, options: { clockTolerance?: number } = {}) {
+    this._throwMissingApiSecret();
+
+    return JWTVerifyToken(this.apiSecret as string, token, options);
+  }
+
   /**
    * Updates all supplied activities on the getstream-io api
    * @since  3.1.0
    * @param  {UpdateActivity<ActivityType>[]} activities list of activities to update
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<APIResponse>}
    */
-  updateActivities(activities: UpdateActivity<ActivityType>[]) {
+  updateActivities(activities: UpdateActivity<ActivityType>[], requestOptions?: RequestOptions) {
     this._throwMissingApiSecret();
 
     if (!(activities instanceof Array)) {
@@ -714,6 +1075,7 @@ export class StreamClient<
     });
 
     return this.post<APIResponse>({
+      ...requestOptions,
       url: 'activities/',
       body: { activities },
       token,
@@ -724,29 +1086,34 @@ export class StreamClient<
    * Updates one activity on the getstream-io api
    * @since  3.1.0
    * @param  {UpdateActivity<ActivityType>} activity The activity to update
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<APIResponse>}
    */
-  updateActivity(activity: UpdateActivity<ActivityType>) {
+  updateActivity(activity: UpdateActivity<ActivityType>, requestOptions?: RequestOptions) {
     this._throwMissingApiSecret();
 
-    return this.updateActivities([activity]);
+    return this.updateActivities([activity], requestOptions);
   }
 
   /**
    * Retrieve activities by ID or foreign ID and time
    * @since  3.19.0
    * @param  {object} params object containing either the list of activity IDs as {ids: ['...', ...]} or foreign IDs and time as {foreignIDTimes: [{foreignID: ..., time: ...}, ...]}
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<GetActivitiesAPIResponse>}
    */
-  getActivities({
-    ids,
-    foreignIDTimes,
-    ...params
-  }: EnrichOptions & {
-    foreignIDTimes?: ForeignIDTimes[];
-    ids?: string[];
-    reactions?: Record<string, boolean>;
-  }) {
+  getActivities(
+    {
+      ids,
+      foreignIDTimes,
+      ...params
+    }: EnrichOptions & {
+      foreignIDTimes?: ForeignIDTimes[];
+      ids?: string[];
+      reactions?: Record<string, boolean>;
+    },
+    requestOptions?: RequestOptions,
+  ) {
     const extraParams: { foreign_ids?: string; ids?: string; timestamps?: string } = {};
 
     if (ids) {
@@ -786,6 +1153,7 @@ export class StreamClient<
     const path = this.shouldUseEnrichEndpoint(params) ? 'enrich/activities/' : 'activities/';
 
     return this.get<GetActivitiesAPIResponse<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>>({
+      ...requestOptions,
       url: path,
       qs: { ...params, ...extraParams },
       token,
@@ -801,11 +1169,71 @@ export class StreamClient<
     return this._getOrCreateToken;
   }
 
+  /**
+   * Replace the user token of this client, feeds and other objects created with the last 100 tokens use the new one
+   * @method setUserToken
+   * @memberof StreamClient.prototype
+   * @param {string} token - user token of the same user
+   * @example client.setUserToken(await fetchTokenFromBackend())
+   */
+  setUserToken(token: string) {
+    if (this.usingApiSecret) throw new SiteError('The user token can only be set on clients using a user token');
+
+    const jwtBody: { exp?: number; user_id?: string } = jwtDecode(token);
+    if (jwtBody.user_id !== this.userId) {
+      throw new TypeError(`user_id of the new token does not match the client user ${this.userId}`);
+    }
+
+    if (this.userToken && this.userToken !== token) this._replacedTokens[this.userToken] = true;
+    delete this._replacedTokens[token];
+    const replaced = Object.keys(this._replacedTokens);
+    for (let i = 0; i < replaced.length - maxReplacedTokens; i++) delete this._replacedTokens[replaced[i]];
+    this.userToken = token;
+    this._getOrCreateToken = token;
+    this._userTokenExpiry = jwtBody.exp ? jwtBody.exp * 1000 : undefined;
+
+    [this.collections, this.files, this.images, this.reactions, this.currentUser].forEach((module) => {
+      if (module) module.token = token;
+    });
+  }
+
+  /**
+   * Get a new user token from the tokenProvider option, concurrent calls share one call to the provider
+   * @method refreshToken
+   * @memberof StreamClient.prototype
+   * @return {Promise<string>} the new token
+   * @example await client.refreshToken()
+   */
+  refreshToken(): Promise<string> {
+    const { tokenProvider } = this.options;
+    if (!tokenProvider) return Promise.reject(new SiteError('Missing tokenProvider option to refresh the user token'));
+
+    if (!this._tokenRefresh) {
+      const clear = () => {
+        this._tokenRefresh = undefined;
+      };
+      this._tokenRefresh = tokenProvider().then((token) => {
+        this.setUserToken(token);
+        return token;
+      });
+      this._tokenRefresh.then(clear, clear);
+    }
+    return this._tokenRefresh;
+  }
+
+  _currentToken(token?: string) {
+    return token && this._replacedTokens[token] ? (this.userToken as string) : token;
+  }
+
+  _usesRefreshableToken(token?: string) {
+    return !!this.options.tokenProvider && !this.usingApiSecret && this._currentToken(token) === this.userToken;
+  }
+
   user(userId: string): StreamUser<UserType> {
     return new StreamUser<UserType>(this, userId, this.getOrCreateToken());
   }
 
-  async setUser(data: UserType) {
+  async setUser(data: UserType, requestOptions?: RequestOptions) {
     if (this.usingApiSecret) {
       throw new SiteError('This method can only be used client-side using a user token');
     }
@@ -813,23 +1241,50 @@ export class StreamClient<
     const body = { ...data };
     delete body.id;
 
-    const user = await (this.currentUser as StreamUser<UserType>).getOrCreate(body);
+    const user = await (this.currentUser as StreamUser<UserType>).getOrCreate(body, requestOptions);
     this.currentUser = user;
     return user;
   }
 
-  og(url: string) {
+  og(url: string, requestOptions?: RequestOptions) {
     return this.get<OGAPIResponse>({
+      ...requestOptions,
       url: 'og/',
       qs: { url },
       token: this.getOrCreateToken(),
     });
   }
 
-  personalizedFeed(options: GetFeedOptions = {}) {
+  /**
+   * Replace the SO: and SU: references of activities with the collection entries and users they point to,
+   * like the enrich endpoint does. The entries of each collection are selected in chunks of 100 ids and the
+   * users are read one by one, 10 at a time, references to missing entries or users stay strings.
+   * As with the enrich endpoint id, foreign_id, origin, time, to and verb are left as they are
+   * @method resolveReferences
+   * @memberof StreamClient.prototype
+   * @param  {Activity[]} activities activities read without enrichment, e.g. the results of a feed page
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of each request
+   * @return {Promise<EnrichedActivity[]>} copies of the activities, the activities given are not modified
+   * @example
+   * const { results } = await client.feed('user', 'alice').get();
+   * const activities = await client.resolveReferences(results);
+   */
+  resolveReferences(activities: Activity<ActivityType>[], requestOptions?: RequestOptions) {
+    if (!this.usingApiSecret) {
+      throw new SiteError('This method can only be used server-side using your API Secret');
+    }
+
+    return resolveReferences<
+      Activity<ActivityType>,
+      EnrichedActivity<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>
+    >(this, activities, requestOptions);
+  }
+
+  personalizedFeed(options: GetFeedOptions = {}, requestOptions?: RequestOptions) {
     return this.get<
       PersonalizationFeedAPIResponse<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>
     >({
+      ...requestOptions,
       url: 'enrich/personalization/feed/',
       qs: options,
       token: this.getOrCreateToken(),
@@ -840,6 +1295,7 @@ export class StreamClient<
    * Update a single activity with partial operations.
    * @since 3.20.0
    * @param {ActivityPartialChanges<ActivityType>} data object containing either the ID or the foreign ID and time of the activity and the operations to issue as set:{...} and unset:[...].
+   * @param {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<Activity<ActivityType>>}
    * @example
    * client.activityPartialUpdate({
@@ -870,8 +1326,9 @@ export class StreamClient<
    */
   async activityPartialUpdate(
     data: ActivityPartialChanges<ActivityType>,
+    requestOptions?: RequestOptions,
   ): Promise<APIResponse & Activity<ActivityType>> {
-    const { activities, ...response } = await this.activitiesPartialUpdate([data]);
+    const { activities, ...response } = await this.activitiesPartialUpdate([data], requestOptions);
     const [activity] = activities;
     return { ...activity, ...response };
   }
@@ -880,6 +1337,7 @@ export class StreamClient<
    * Update multiple activities with partial operations.
    * @since v3.20.0
    * @param {ActivityPartialChanges<ActivityType>[]} changes array containing the changesets to be applied. Every changeset contains the activity identifier which is either the ID or the pair of of foreign ID and time of the activity. The operations to issue can be set:{...} and unset:[...].
+   * @param {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<{ activities: Activity<ActivityType>[] }>}
    * @example
    * client.activitiesPartialUpdate([
@@ -930,7 +1388,7 @@ export class StreamClient<
    *   },
    * ])
    */
-  activitiesPartialUpdate(changes: ActivityPartialChanges<ActivityType>[]) {
+  activitiesPartialUpdate(changes: ActivityPartialChanges<ActivityType>[], requestOptions?: RequestOptions) {
     if (!(changes instanceof Array)) {
       throw new TypeError('changes should be an Array');
     }
@@ -961,6 +1419,7 @@ export class StreamClient<
     }
 
     return this.post<APIResponse & { activities: Activity<ActivityType>[] }>({
+      ...requestOptions,
       url: 'activity/',
       body: {
         changes,
@@ -1,5 +1,46 @@
-import { StreamClient, APIResponse, UnknownRecord } from './client';
-import { SiteError } from './errors';
+import { AxiosResponse } from 'axios';
+
+import { StreamClient, APIResponse, UnknownRecord, RequestOptions } from './client';
+import { ConflictError, SiteError, ValidationError } from './errors';
+import utils from './utils';
+
+declare const collectionTypes: unique symbol;
+
+/**
+ * Declares the data type of each collection, to be used as the CollectionType of the client
+ * instead of one type shared by every collection
+ * @example StreamClient<UserType, ActivityType, CollectionMap<{ product: Product; brand: Brand }>>
+ */
+export type CollectionMap<Types extends Record<string, UnknownRecord>> = {
+  [collectionTypes]: Types;
+};
+
+/**
+ * Names of the collections of a CollectionMap, any string for a shared CollectionType
+ */
+export type CollectionName<CollectionType extends UnknownRecord = UnknownRecord> = CollectionType extends CollectionMap<
+  infer Types
+>
+  ? Extract<keyof Types, string>
+  : string;
+
+/**
+ * Data type of a collection, the union of the types of the CollectionMap when the name is not known
+ */
+export type CollectionData<
+  CollectionType extends UnknownRecord = UnknownRecord,
+  Name extends string = CollectionName<CollectionType>
+> = CollectionType extends CollectionMap<infer Types>
+  ? Name extends keyof Types
+    ? Types[Name]
+    : never
+  : CollectionType;
+
+/**
+ * Checks the data of a collection before it is sent, it returns the data to send or throws when it is invalid
+ * e.g. the parse method of a zod schema
+ */
+export type CollectionValidator<Data extends UnknownRecord = UnknownRecord> = (data: Data) => Data;
 
 type BaseCollection<CollectionType> = {
   collection: string;
@@ -15,9 +56,11 @@ export type CollectionResponse<CollectionType extends UnknownRecord = UnknownRec
   updated_at: string;
 };
 
-export type NewCollectionEntry<CollectionType extends UnknownRecord = UnknownRecord> = BaseCollection<
-  CollectionType
-> & {
+/**
+ * Entry sent to upsert, the id and the data fields of the entry side by side: { id: 'cheese', name: 'cheese' }
+ */
+export type NewCollectionEntry<CollectionType extends UnknownRecord = UnknownRecord> = CollectionType & {
+  id: string;
   user_id?: string;
 };
 
@@ -39,19 +82,115 @@ export type UpsertCollectionAPIResponse<CollectionType extends UnknownRecord = U
   };
 };
 
+/**
+ * Response of upsertMany, the upserted items keyed by collection name
+ */
+export type UpsertManyCollectionAPIResponse<
+  CollectionType extends UnknownRecord = UnknownRecord,
+  Collection extends string = CollectionName<CollectionType>
+> = APIResponse & {
+  data: {
+    [Name in Collection]: {
+      data: CollectionData<CollectionType, Name>;
+      id: string;
+    }[];
+  };
+};
+
+/**
+ * chunkSize is the number of entries or ids per request, at most 1000, concurrency the number of requests in flight
+ */
+export type CollectionChunkOptions = {
+  chunkSize?: number;
+  concurrency?: number;
+};
+
+/**
+ * Chunk whose request failed, ids are the ids it carried so they can be sent again
+ */
+export type CollectionChunkFailure = {
+  error: Error;
+  ids: string[];
+};
+
+/**
+ * Chunk of upserted entries whose request failed, items are the entries it carried so they can be sent again
+ */
+export type CollectionUpsertChunkFailure<CollectionType extends UnknownRecord = UnknownRecord> = {
+  error: Error;
+  items: NewCollectionEntry<CollectionType>[];
+};
+
+export type ChunkedUpsertCollectionResponse<CollectionType extends UnknownRecord = UnknownRecord> = {
+  data: UpsertCollectionAPIResponse<CollectionType>['data'];
+  failures: CollectionUpsertChunkFailure<CollectionType>[];
+};
+
+export type ChunkedSelectCollectionResponse<CollectionType extends UnknownRecord = UnknownRecord> = {
+  failures: CollectionChunkFailure[];
+  response: {
+    data: CollectionResponse<CollectionType>[];
+  };
+};
+
+export type ChunkedDeleteManyCollectionResponse = {
+  deleted: string[];
+  failures: CollectionChunkFailure[];
+};
+
+// entries per request accepted by the api
+const maxChunkSize = 1000;
+// ids are sent in the query string, smaller chunks keep the urls short
+const defaultIdsChunkSize = 100;
+
+/*
+ * Send the items in chunks of the size asked, at most maxChunkSize, see utils.sendInChunks
+ */
+function sendCollectionChunks<T, R>(
+  items: T[],
+  { chunkSize, concurrency = 1 }: CollectionChunkOptions,
+  defaultChunkSize: number,
+  send: (chunk: T[]) => Promise<R>,
+) {
+  const size = Math.max(1, Math.min(chunkSize || defaultChunkSize, maxChunkSize));
+  return utils.sendInChunks(items, size, concurrency, send);
+}
+
+// deep copy of JSON data
+function copy<Data>(data: Data): Data {
+  return data === undefined ? data : JSON.parse(JSON.stringify(data));
+}
+
+function errorResponse(status: number, statusText: string, data: unknown): AxiosResponse {
+  return { config: {}, data, headers: {}, status, statusText };
+}
+
+/*
+ * Error thrown when an entry changed on the server since it was loaded
+ */
+function conflict(collection: string, id: string, loaded: string, stored: string) {
+  const detail = `Entry ${id} of collection ${collection} was updated at ${stored} since it was loaded at ${loaded}`;
+  const body = { detail, status_code: 409 };
+  return new ConflictError(detail, body, errorResponse(409, 'Conflict', body));
+}
+
 export class CollectionEntry<CollectionType extends UnknownRecord = UnknownRecord> {
   id: string;
   collection: string;
-  store: Collections<CollectionType>; // eslint-disable-line no-use-before-define
+  // the store may type its collections with a CollectionMap, CollectionType is the data of this entry only
+  store: Collections; // eslint-disable-line no-use-before-define
   data: CollectionType | null;
   full?: unknown;
+  // copy of the data as it was loaded, changes() compares data with it
+  private loaded: CollectionType | null;
 
   // eslint-disable-next-line no-use-before-define
-  constructor(store: Collections<CollectionType>, collection: string, id: string, data: CollectionType) {
+  constructor(store: Collections, collection: string, id: string, data: CollectionType) {
     this.collection = collection;
     this.store = store;
     this.id = id;
     this.data = data;
+    this.loaded = copy(data);
   }
 
   ref() {
@@ -62,63 +201,154 @@ export class CollectionEntry<CollectionType extends UnknownRecord = UnknownRecor
    * get item from collection and sync data
    * @method get
    * @memberof CollectionEntry.prototype
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<CollectionEntry<CollectionType>>}
    * @example collection.get("0c7db91c-67f9-11e8-bcd9-fe00a9219401")
    */
-  async get() {
-    const response = await this.store.get(this.collection, this.id);
-    this.data = response.data;
+  async get(requestOptions?: RequestOptions): Promise<CollectionEntry<CollectionType>> {
+    const response = await this.store.get(this.collection, this.id, requestOptions);
+    this.data = response.data as CollectionType;
+    this.loaded = copy(this.data);
     this.full = response;
-    return response;
+    return response as CollectionEntry<CollectionType>;
   }
 
   /**
    * Add item to collection
    * @method add
    * @memberof CollectionEntry.prototype
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<CollectionEntry<CollectionType>>}
    * @example collection.add("cheese101", {"name": "cheese burger","toppings": "cheese"})
    */
-  async add() {
-    const response = await this.store.add(this.collection, this.id, this.data as CollectionType);
-    this.data = response.data;
+  async add(requestOptions?: RequestOptions): Promise<CollectionEntry<CollectionType>> {
+    const response = await this.store.add(this.collection, this.id, this.data as UnknownRecord, requestOptions);
+    this.data = response.data as CollectionType;
+    this.loaded = copy(this.data);
     this.full = response;
-    return response;
+    return response as CollectionEntry<CollectionType>;
   }
 
   /**
    * Update item in the object storage
    * @method update
    * @memberof CollectionEntry.prototype
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<CollectionEntry<CollectionType>>}
    * @example store.update("0c7db91c-67f9-11e8-bcd9-fe00a9219401", {"name": "cheese burger","toppings": "cheese"})
    * @example store.update("cheese101", {"name": "cheese burger","toppings": "cheese"})
    */
-  async update() {
-    const response = await this.store.update(this.collection, this.id, this.data as CollectionType);
-    this.data = response.data;
+  async update(requestOptions?: RequestOptions): Promise<CollectionEntry<CollectionType>> {
+    const response = await this.store.update(this.collection, this.id, this.data as UnknownRecord, requestOptions);
+    this.data = response.data as CollectionType;
+    this.loaded = copy(this.data);
     this.full = response;
-    return response;
+    return response as CollectionEntry<CollectionType>;
   }
 
   /**
    * Delete item from collection
    * @method delete
    * @memberof CollectionEntry.prototype
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<APIResponse>}
    * @example collection.delete("cheese101")
    */
-  async delete() {
-    const response = await this.store.delete(this.collection, this.id);
+  async delete(requestOptions?: RequestOptions) {
+    const response = await this.store.delete(this.collection, this.id, requestOptions);
     this.data = null;
+    this.loaded = null;
     this.full = null;
     return response;
   }
+
+  /**
+   * Keys of data changed since the entry was loaded or last saved, with their new value,
+   * removed keys are undefined
+   * @method changes
+   * @memberof CollectionEntry.prototype
+   * @return {Partial<CollectionType>}
+   * @example
+   * entry.data.price = 12;
+   * entry.changes(); // { price: 12 }
+   */
+  changes(): Partial<CollectionType> {
+    const data: UnknownRecord = this.data || {};
+    const loaded: UnknownRecord = this.loaded || {};
+    const changes: UnknownRecord = {};
+
+    Object.keys(data).forEach((key) => {
+      if (JSON.stringify(data[key]) !== JSON.stringify(loaded[key])) changes[key] = data[key];
+    });
+    Object.keys(loaded).forEach((key) => {
+      if (!(key in data)) changes[key] = undefined;
+    });
+    return changes as Partial<CollectionType>;
+  }
+
+  /**
+   * Update the changed keys only, the other keys keep the value stored by the API.
+   * The entry is read again first, a ConflictError is thrown when it was updated since it was loaded
+   * @method patch
+   * @memberof CollectionEntry.prototype
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
+   * @return {Promise<CollectionEntry<CollectionType>>}
+   * @throws {ConflictError} when updated_at of the stored entry moved on since the entry was loaded
+   * @example
+   * const entry = await client.collections.get('food', 'cheese101');
+   * entry.data.price = 12;
+   * await entry.patch();
+   */
+  async patch(requestOptions?: RequestOptions): Promise<CollectionEntry<CollectionType>> {
+    const changes: UnknownRecord = this.changes();
+    if (!Object.keys(changes).length) return this;
+
+    // the API replaces the whole data, read it without the cache to apply the changes on the stored data
+    const stored = await this.store.client.get<CollectionAPIResponse>({
+      ...requestOptions,
+      url: this.store.buildURL(this.collection, this.id),
+      token: this.store.token,
+    });
+    const updatedAt = this.loadedAt();
+    if (updatedAt && stored.updated_at !== updatedAt) {
+      throw conflict(this.collection, this.id, updatedAt, stored.updated_at);
+    }
+
+    const data: UnknownRecord = { ...stored.data };
+    Object.keys(changes).forEach((key) => {
+      if (changes[key] === undefined) delete data[key];
+      else data[key] = changes[key];
+    });
+
+    const response = await this.store.update(this.collection, this.id, data, requestOptions);
+    this.data = response.data as CollectionType;
+    this.loaded = copy(this.data);
+    this.full = response;
+    return response as CollectionEntry<CollectionType>;
+  }
+
+  // updated_at of the loaded entry, full is the API response or the entry returned by the store
+  private loadedAt() {
+    const response = this.full instanceof CollectionEntry ? this.full.full : this.full;
+    return response ? (response as CollectionResponse).updated_at : undefined;
+  }
+}
+
+/*
+ * Error thrown when a validator rejects the data of a collection, it has the shape of the API input errors
+ */
+function invalidData(collection: string, error: unknown) {
+  if (error instanceof ValidationError) return error;
+
+  const detail = `Invalid data for collection ${collection}: ${error instanceof Error ? error.message : error}`;
+  const body = { code: 4, detail, exception: 'InputException', exception_fields: { data: [detail] }, status_code: 400 };
+  return new ValidationError(detail, body, errorResponse(400, 'Bad Request', body));
 }
 
 export class Collections<CollectionType extends UnknownRecord = UnknownRecord> {
   client: StreamClient;
   token: string;
+  validators: Record<string, CollectionValidator>;
 
   /**
    * Initialize a feed object
@@ -130,6 +360,7 @@ export class Collections<CollectionType extends UnknownRecord = UnknownRecord> {
   constructor(client: StreamClient, token: string) {
     this.client = client;
     this.token = token;
+    this.validators = {};
   }
 
   buildURL = (collection: string, itemId?: string) => {
@@ -137,8 +368,49 @@ export class Collections<CollectionType extends UnknownRecord = UnknownRecord> {
     return itemId === undefined ? url : `${url}${itemId}/`;
   };
 
-  entry(collection: string, itemId: string, itemData: CollectionType) {
-    return new CollectionEntry<CollectionType>(this, collection, itemId, itemData);
+  entry<Name extends CollectionName<CollectionType>>(
+    collection: Name,
+    itemId: string,
+    itemData: CollectionData<CollectionType, Name>,
+  ): CollectionEntry<CollectionData<CollectionType, Name>> {
+    return new CollectionEntry((this as unknown) as Collections, collection, itemId, itemData);
+  }
+
+  /**
+   * Validate the data of a collection before add, update and upsert send it
+   * the data returned by the validator is sent, an error thrown by the validator is thrown as a ValidationError
+   * @method setValidator
+   * @memberof Collections.prototype
+   * @param {string} collection - collection name
+   * @param {CollectionValidator | null} validator - function returning the data to send, null removes the validator
+   * @example client.collections.setValidator('product', (data) => productSchema.parse(data))
+   */
+  setValidator<Name extends CollectionName<CollectionType>>(
+    collection: Name,
+    validator: CollectionValidator<CollectionData<CollectionType, Name>> | null,
+  ) {
+    if (validator) this.validators[collection] = (validator as unknown) as CollectionValidator;
+    else delete this.validators[collection];
+  }
+
+  /**
+   * Run the validator of a collection
+   * @method validate
+   * @memberof Collections.prototype
+   * @param {string} collection - collection name
+   * @param {object} data
+   * @return {object} the data to send
+   * @throws {ValidationError} when the validator throws
+   */
+  validate<Data>(collection: string, data: Data): Data {
+    const validator = this.validators[collection];
+    if (!validator) return data;
+
+    try {
+      return (validator((data as unknown) as UnknownRecord) as unknown) as Data;
+    } catch (error) {
+      throw invalidData(collection, error);
+    }
   }
 
   /**
@@ -147,16 +419,24 @@ export class Collections<CollectionType extends UnknownRecord = UnknownRecord> {
    * @memberof Collections.prototype
    * @param  {string}   collection  collection name
    * @param  {string}   itemId  id for this entry
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<CollectionEntry<CollectionType>>}
    * @example collection.get("food", "0c7db91c-67f9-11e8-bcd9-fe00a9219401")
    */
-  async get(collection: string, itemId: string) {
-    const response = await this.client.get<CollectionAPIResponse<CollectionType>>({
-      url: this.buildURL(collection, itemId),
-      token: this.token,
-    });
-
-    const entry = this.entry(response.collection, response.id, response.data);
+  async get<Name extends CollectionName<CollectionType>>(
+    collection: Name,
+    itemId: string,
+    requestOptions?: RequestOptions,
+  ) {
+    const response = await this.client.cached('collections', `${collection}:${itemId}`, { token: this.token }, () =>
+      this.client.get<CollectionAPIResponse<CollectionData<CollectionType, Name>>>({
+        ...requestOptions,
+        url: this.buildURL(collection, itemId),
+        token: this.token,
+      }),
+    );
+
+    const entry = this.entry(response.collection as Name, response.id, response.data);
     entry.full = response;
     return entry;
   }
@@ -168,20 +448,28 @@ export class Collections<CollectionType extends UnknownRecord = UnknownRecord> {
    * @param  {string}   collection  collection name
    * @param  {string | null}    itemId  entry id, if null a random id will be assigned to the item
    * @param  {CollectionType}   itemData  ObjectStore data
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<CollectionEntry<CollectionType>>}
    * @example collection.add("food", "cheese101", {"name": "cheese burger","toppings": "cheese"})
    */
-  async add(collection: string, itemId: string | null, itemData: CollectionType) {
-    const response = await this.client.post<CollectionAPIResponse<CollectionType>>({
+  async add<Name extends CollectionName<CollectionType>>(
+    collection: Name,
+    itemId: string | null,
+    itemData: CollectionData<CollectionType, Name>,
+    requestOptions?: RequestOptions,
+  ) {
+    const response = await this.client.post<CollectionAPIResponse<CollectionData<CollectionType, Name>>>({
+      ...requestOptions,
       url: this.buildURL(collection),
       body: {
         id: itemId === null ? undefined : itemId,
-        data: itemData,
+        data: this.validate(collection, itemData),
       },
       token: this.token,
     });
+    await this.client.invalidate('collections', `${response.collection}:${response.id}`);
 
-    const entry = this.entry(response.collection, response.id, response.data);
+    const entry = this.entry(response.collection as Name, response.id, response.data);
     entry.full = response;
     return entry;
   }
@@ -193,18 +481,26 @@ export class Collections<CollectionType extends UnknownRecord = UnknownRecord> {
    * @param  {string}   collection  collection name
    * @param  {string}   entryId  Collection object id
    * @param  {CollectionType}   data  ObjectStore data
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<CollectionEntry<CollectionType>>}
    * @example store.update("0c7db91c-67f9-11e8-bcd9-fe00a9219401", {"name": "cheese burger","toppings": "cheese"})
    * @example store.update("food", "cheese101", {"name": "cheese burger","toppings": "cheese"})
    */
-  async update(collection: string, entryId: string, data: CollectionType) {
-    const response = await this.client.put<CollectionAPIResponse<CollectionType>>({
+  async update<Name extends CollectionName<CollectionType>>(
+    collection: Name,
+    entryId: string,
+    data: CollectionData<CollectionType, Name>,
+    requestOptions?: RequestOptions,
+  ) {
+    const response = await this.client.put<CollectionAPIResponse<CollectionData<CollectionType, Name>>>({
+      ...requestOptions,
       url: this.buildURL(collection, entryId),
-      body: { data },
+      body: { data: this.validate(collection, data) },
       token: this.token,
     });
+    await this.client.invalidate('collections', `${collection}:${entryId}`);
 
-    const entry = this.entry(response.collection, response.id, response.data);
+    const entry = this.entry(response.collection as Name, response.id, response.data);
     entry.full = response;
     return entry;
   }
@@ -215,14 +511,20 @@ export class Collections<CollectionType extends UnknownRecord = UnknownRecord> {
    * @memberof Collections.prototype
    * @param  {string}   collection  collection name
    * @param  {string}   entryId  Collection entry id
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<APIResponse>} Promise object
    * @example collection.delete("food", "cheese101")
    */
-  delete(collection: string, entryId: string) {
-    return this.client.delete({
-      url: this.buildURL(collection, entryId),
-      token: this.token,
-    });
+  delete(collection: CollectionName<CollectionType>, entryId: string, requestOptions?: RequestOptions) {
+    return this.client.invalidateAfter(
+      this.client.delete({
+        ...requestOptions,
+        url: this.buildURL(collection, entryId),
+        token: this.token,
+      }),
+      'collections',
+      [`${collection}:${entryId}`],
+    );
   }
 
   /**
@@ -232,20 +534,112 @@ export class Collections<CollectionType extends UnknownRecord = UnknownRecord> {
    * @memberof Collections.prototype
    * @param  {string}   collection  collection name
    * @param {NewCollectionEntry<CollectionType> | NewCollectionEntry<CollectionType>[]} data - A single json object or an array of objects
+   * @param {RequestOptions} [requestOptions] - abort signal and timeout of this call
    * @return {Promise<UpsertCollectionAPIResponse<CollectionType>>}
    */
-  upsert(collection: string, data: NewCollectionEntry<CollectionType> | NewCollectionEntry<CollectionType>[]) {
+  upsert<Name extends CollectionName<CollectionType>>(
+    collection: Name,
+    data:
+      | NewCollectionEntry<CollectionData<CollectionType, Name>>
+      | NewCollectionEntry<CollectionData<CollectionType, Name>>[],
+    requestOptions?: RequestOptions,
+  ) {
+    const items = { [collection]: data } as Record<string, unknown>;
+    return ((this as Collections).upsertMany(
+      items as Record<string, NewCollectionEntry>,
+      requestOptions,
+    ) as unknown) as Promise<UpsertCollectionAPIResponse<CollectionData<CollectionType, Name>>>;
+  }
+
+  /**
+   * Upsert items within several collections in one request.
+   *
+   * @method upsertMany
+   * @memberof Collections.prototype
+   * @param {object} data - items keyed by collection name, a single json object or an array of objects per collection
+   * @param {RequestOptions} [requestOptions] - abort signal and timeout of this call
+   * @return {Promise<UpsertManyCollectionAPIResponse<CollectionType>>}
+   * @example client.collections.upsertMany({ products: [{ id: 'p1', name: 'cheese' }], brands: [{ id: 'b1', name: 'Brie' }] })
+   */
+  upsertMany<Collection extends CollectionName<CollectionType>>(
+    data: {
+      [Name in Collection]:
+        | NewCollectionEntry<CollectionData<CollectionType, Name>>
+        | NewCollectionEntry<CollectionData<CollectionType, Name>>[];
+    },
+    requestOptions?: RequestOptions,
+  ) {
     if (!this.client.usingApiSecret) {
       throw new SiteError('This method can only be used server-side using your API Secret');
     }
 
-    if (!Array.isArray(data)) data = [data];
+    const ids: string[] = [];
+    // async so that invalid data rejects like add and update do
+    const send = async () => {
+      const body: Record<string, NewCollectionEntry<UnknownRecord>[]> = {};
+      Object.keys(data).forEach((collection) => {
+        const items = data[collection as Collection] as
+          | NewCollectionEntry<UnknownRecord>
+          | NewCollectionEntry<UnknownRecord>[];
+        body[collection] = (Array.isArray(items) ? items : [items]).map((item) => {
+          if (!this.validators[collection]) return item;
+          // the validator checks the data fields, the id and user_id are kept as they are
+          const { id, user_id: userId, ...fields } = item;
+          const entry: NewCollectionEntry<UnknownRecord> = { ...this.validate(collection, fields), id };
+          if (userId !== undefined) entry.user_id = userId;
+          return entry;
+        });
+        body[collection].forEach((item) => ids.push(`${collection}:${item.id}`));
+      });
+
+      return this.client.post<UpsertManyCollectionAPIResponse<CollectionType, Collection>>({
+        ...requestOptions,
+        url: 'collections/',
+        serviceName: 'api',
+        body: { data: body },
+        token: this.client.getCollectionsToken(),
+      });
+    };
 
-    return this.client.post<UpsertCollectionAPIResponse<CollectionType>>({
-      url: 'collections/',
-      serviceName: 'api',
-      body: { data: { [collection]: data } },
-      token: this.client.getCollectionsToken(),
+    return this.client.invalidateAfter(send(), 'collections', ids);
+  }
+
+  /**
+   * Upsert any number of entries, sent in chunks of at most 1000 entries
+   * the entries of the chunks upserted are merged, the chunks failing are reported in failures
+   * @method upsertChunked
+   * @memberof Collections.prototype
+   * @param {string} collection - collection name
+   * @param {NewCollectionEntry<CollectionType>[]} data - entries to upsert
+   * @param {CollectionChunkOptions} [options]
+   * @param {number} [options.chunkSize=1000] - entries per request
+   * @param {number} [options.concurrency=1] - requests in flight
+   * @param {RequestOptions} [requestOptions] - abort signal and timeout of each request
+   * @return {Promise<ChunkedUpsertCollectionResponse<CollectionType>>}
+   * @example
+   * const { failures } = await client.collections.upsertChunked('product', products, { concurrency: 4 });
+   * failures.forEach(({ items, error }) => console.warn(`${items.length} products not synced`, error));
+   */
+  upsertChunked<Name extends CollectionName<CollectionType>>(
+    collection: Name,
+    data: NewCollectionEntry<CollectionData<CollectionType, Name>>[],
+    options: CollectionChunkOptions = {},
+    requestOptions?: RequestOptions,
+  ) {
+    type Data = CollectionData<CollectionType, Name>;
+    if (!this.client.usingApiSecret) {
+      throw new SiteError('This method can only be used server-side using your API Secret');
+    }
+
+    return sendCollectionChunks(data, options, maxChunkSize, (chunk) =>
+      this.upsert(collection, chunk, requestOptions),
+    ).then((settled) => {
+      const response: ChunkedUpsertCollectionResponse<Data> = { data: { [collection]: [] }, failures: [] };
+      settled.forEach(({ chunk, error, result }) => {
+        if (error) response.failures.push({ error, items: chunk });
+        else response.data[collection].push(...((result as UpsertCollectionAPIResponse<Data>).data[collection] || []));
+      });
+      return response;
     });
   }
 
@@ -256,16 +650,22 @@ export class Collections<CollectionType extends UnknownRecord = UnknownRecord> {
    * @memberof Collections.prototype
    * @param {string} collection  collection name
    * @param {string | string[]} ids - A single object id or an array of ids
+   * @param {RequestOptions} [requestOptions] - abort signal and timeout of this call
    * @return {Promise<SelectCollectionAPIResponse<CollectionType>>}
    */
-  select(collection: string, ids: string | string[]) {
+  select<Name extends CollectionName<CollectionType>>(
+    collection: Name,
+    ids: string | string[],
+    requestOptions?: RequestOptions,
+  ) {
     if (!this.client.usingApiSecret) {
       throw new SiteError('This method can only be used server-side using your API Secret');
     }
 
     if (!Array.isArray(ids)) ids = [ids];
 
-    return this.client.get<SelectCollectionAPIResponse<CollectionType>>({
+    return this.client.get<SelectCollectionAPIResponse<CollectionData<CollectionType, Name>>>({
+      ...requestOptions,
       url: 'collections/',
       serviceName: 'api',
       qs: { foreign_ids: ids.map((id) => `${collection}:${id}`).join(',') },
@@ -273,6 +673,42 @@ export class Collections<CollectionType extends UnknownRecord = UnknownRecord> {
     });
   }
 
+  /**
+   * Select any number of entries, the ids are sent in chunks of 100 ids by default
+   * the entries of the chunks selected are merged, the chunks failing are reported in failures
+   * @method selectChunked
+   * @memberof Collections.prototype
+   * @param {string} collection - collection name
+   * @param {string[]} ids - ids of the entries
+   * @param {CollectionChunkOptions} [options]
+   * @param {number} [options.chunkSize=100] - ids per request
+   * @param {number} [options.concurrency=1] - requests in flight
+   * @param {RequestOptions} [requestOptions] - abort signal and timeout of each request
+   * @return {Promise<ChunkedSelectCollectionResponse<CollectionType>>}
+   */
+  selectChunked<Name extends CollectionName<CollectionType>>(
+    collection: Name,
+    ids: string[],
+    options: CollectionChunkOptions = {},
+    requestOptions?: RequestOptions,
+  ) {
+    type Data = CollectionData<CollectionType, Name>;
+    if (!this.client.usingApiSecret) {
+      throw new SiteError('This method can only be used server-side using your API Secret');
+    }
+
+    return sendCollectionChunks(ids, options, defaultIdsChunkSize, (chunk) =>
+      this.select(collection, chunk, requestOptions),
+    ).then((settled) => {
+      const response: ChunkedSelectCollectionResponse<Data> = { failures: [], response: { data: [] } };
+      settled.forEach(({ chunk, error, result }) => {
+        if (error) response.failures.push({ error, ids: chunk });
+        else response.response.data.push(...(result as SelectCollectionAPIResponse<Data>).response.data);
+      });
+      return response;
+    });
+  }
+
   /**
    * Remove all objects by id from the collection.
    *
@@ -280,9 +716,10 @@ export class Collections<CollectionType extends UnknownRecord = UnknownRecord> {
    * @memberof Collections.prototype
    * @param {string} collection  collection name
    * @param {string | string[]} ids - A single object id or an array of ids
+   * @param {RequestOptions} [requestOptions] - abort signal and timeout of this call
    * @return {Promise<APIResponse>}
    */
-  deleteMany(collection: string, ids: string | string[]) {
+  deleteMany(collection: CollectionName<CollectionType>, ids: string | string[], requestOptions?: RequestOptions) {
     if (!this.client.usingApiSecret) {
       throw new SiteError('This method can only be used server-side using your API Secret');
     }
@@ -294,11 +731,51 @@ export class Collections<CollectionType extends UnknownRecord = UnknownRecord> {
       ids: ids.map((id) => id.toString()).join(','),
     };
 
-    return this.client.delete({
-      url: 'collections/',
-      serviceName: 'api',
-      qs: params,
-      token: this.client.getCollectionsToken(),
+    return this.client.invalidateAfter(
+      this.client.delete({
+        ...requestOptions,
+        url: 'collections/',
+        serviceName: 'api',
+        qs: params,
+        token: this.client.getCollectionsToken(),
+      }),
+      'collections',
+      ids.map((id) => `${collection}:${id}`),
+    );
+  }
+
+  /**
+   * Delete any number of entries, the ids are sent in chunks of 100 ids by default
+   * the ids of the chunks deleted are returned in deleted, the chunks failing are reported in failures
+   * @method deleteManyChunked
+   * @memberof Collections.prototype
+   * @param {string} collection - collection name
+   * @param {string[]} ids - ids of the entries
+   * @param {CollectionChunkOptions} [options]
+   * @param {number} [options.chunkSize=100] - ids per request
+   * @param {number} [options.concurrency=1] - requests in flight
+   * @param {RequestOptions} [requestOptions] - abort signal and timeout of each request
+   * @return {Promise<ChunkedDeleteManyCollectionResponse>}
+   */
+  deleteManyChunked(
+    collection: CollectionName<CollectionType>,
+    ids: string[],
+    options: CollectionChunkOptions = {},
+    requestOptions?: RequestOptions,
+  ) {
+    if (!this.client.usingApiSecret) {
+      throw new SiteError('This method can only be used server-side using your API Secret');
+    }
+
+    return sendCollectionChunks(ids, options, defaultIdsChunkSize, (chunk) =>
+      this.deleteMany(collection, chunk, requestOptions),
+    ).then((settled) => {
+      const response: ChunkedDeleteManyCollectionResponse = { deleted: [], failures: [] };
+      settled.forEach(({ chunk, error }) => {
+        if (error) response.failures.push({ error, ids: chunk });
+        else response.deleted.push(...chunk);
+      });
+      return response;
     });
   }
 }
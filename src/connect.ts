@@ -12,6 +12,12 @@ import { StreamClient, UnknownRecord, ClientOptions } from './client';
  * @param {string} [options.version] - advanced usage, custom api version
  * @param {boolean} [options.keepAlive] - axios keepAlive, default to true
  * @param {number} [options.timeout] - axios timeout in Ms, default to 10s
+ * @param {RetryOptions} [options.retry] - retry failed requests with exponential backoff, disabled by default
+ * @param {boolean} [options.throttle] - delay requests to an endpoint whose rate limit is exhausted until it resets
+ * @param {Transport} [options.transport] - send requests with a custom transport such as fetchTransport(), default to axios
+ * @param {boolean} [options.dedupe] - share one network call between identical GET requests in flight at the same time
+ * @param {CacheOptions} [options.cache] - cache feed reads, users and collection entries, disabled by default
+ * @param {function} [options.tokenProvider] - returns a new user token, called before the current one expires and after a 401
  * @return {StreamClient}     StreamClient
  * @example <caption>Basic usage</caption>
  * stream.connect(apiKey, apiSecret);
@@ -0,0 +1,1256 @@
+import { AxiosRequestConfig, AxiosResponse } from 'axios';
+import jwtDecode from 'jwt-decode';
+
+import { UnknownRecord } from './client';
+import { unresolvedFields } from './references';
+import { Transport } from './transport';
+import utils from './utils';
+
+type Auth = {
+  server: boolean;
+  userId?: string;
+};
+
+type EmulatorRequest = {
+  auth: Auth;
+  base: string;
+  body: UnknownRecord;
+  method: string;
+  params: UnknownRecord;
+  path: string[];
+};
+
+type EnrichContext = {
+  base: string;
+  depth: number;
+  kinds: string[];
+  ownChildren: boolean;
+  ownReactions: boolean;
+  reactionCounts: boolean;
+  recentLimit: number;
+  recentReactions: boolean;
+  userId?: string;
+  userParam?: string;
+};
+
+type StoredUser = {
+  created_at: string;
+  data: UnknownRecord;
+  id: string;
+  updated_at: string;
+};
+
+type StoredEntry = {
+  collection: string;
+  created_at: string;
+  data: UnknownRecord;
+  id: string;
+  updated_at: string;
+  user_id?: string;
+};
+
+type StoredActivity = {
+  activity: UnknownRecord & { foreign_id: string; id: string; time: string; to?: string[] };
+  reactionCounts: Record<string, number>;
+  seq: number;
+};
+
+type StoredReaction = {
+  activity_id: string;
+  children_counts: Record<string, number>;
+  created_at: string;
+  data: UnknownRecord;
+  id: string;
+  kind: string;
+  parent: string;
+  seq: number;
+  target_feeds: string[];
+  updated_at: string;
+  user_id: string;
+  feedActivityId?: string;
+  target_feeds_extra_data?: UnknownRecord;
+};
+
+type FeedEntry = {
+  id: string;
+  origin: string | null;
+};
+
+type Follow = {
+  created_at: string;
+  feed_id: string;
+  seq: number;
+  target_id: string;
+  updated_at: string;
+};
+
+/**
+ * Everything the emulator stores, it can be inspected or seeded by tests
+ */
+export type EmulatorState = {
+  activities: Record<string, StoredActivity>;
+  collections: Record<string, StoredEntry>;
+  feeds: Record<string, FeedEntry[]>;
+  follows: Follow[];
+  reactions: Record<string, StoredReaction>;
+  users: Record<string, StoredUser>;
+};
+
+// every user can read the feeds of these groups
+const publicFeedGroups = ['user'];
+// every user can add activities to the feeds of these groups through to targets and reaction target feeds
+const openFeedGroups = ['notification'];
+// latest children returned with a reaction, all kinds together
+const latestChildrenLimit = 10;
+// own children returned with a reaction for each kind
+const ownChildrenLimit = 5;
+const maxReactionDepth = 3;
+
+const validIdRe = /^[\w-]+$/;
+const validFeedIdRe = /^\w+:[\w-]+$/;
+const validTimeRe = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z?$/;
+
+class EmulatorError {
+  status: number;
+  body: UnknownRecord;
+
+  constructor(status: number, exception: string, detail: string, fields?: Record<string, string[]>) {
+    this.status = status;
+    this.body = { detail, exception, status_code: status, ...(fields ? { exception_fields: fields } : {}) };
+  }
+}
+
+const invalid = (detail: string, field?: string) =>
+  new EmulatorError(400, 'InputException', detail, field ? { [field]: [detail] } : undefined);
+const notAllowed = (detail: string) => new EmulatorError(403, 'NotAllowedException', detail);
+const notFound = (detail: string) => new EmulatorError(404, 'DoesNotExistException', detail);
+const conflict = (detail: string) => new EmulatorError(409, 'ConflictException', detail);
+
+function emptyState(): EmulatorState {
+  return { activities: {}, collections: {}, feeds: {}, follows: [], reactions: {}, users: {} };
+}
+
+function has(record: Record<string, unknown>, key: string) {
+  return Object.prototype.hasOwnProperty.call(record, key);
+}
+
+function isObject(value: unknown): value is UnknownRecord {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+function clone<T>(value: T): T {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+function uuid() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = Math.floor(Math.random() * 16);
+    return (c === 'x' ? r : (r % 4) + 8).toString(16);
+  });
+}
+
+function flag(value: unknown) {
+  return value === true || value === 1 || value === 'true' || value === '1';
+}
+
+function integer(value: unknown, fallback: number, field: string) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const parsed = Number(value);
+  if (Math.floor(parsed) !== parsed || parsed < 0) throw invalid(`${field} should be a positive integer`, field);
+  return parsed;
+}
+
+function list(value: unknown) {
+  return typeof value === 'string' && value ? value.split(',') : [];
+}
+
+function feedSlug(feedId: string) {
+  return feedId.split(':')[0];
+}
+
+function feedOwner(feedId: string) {
+  return feedId.split(':')[1];
+}
+
+/*
+ * Times are stored like Stream returns them, without timezone and with microseconds
+ */
+function normalizeTime(time: string) {
+  const [seconds, fraction = ''] = time.replace(/Z$/, '').split('.');
+  return `${seconds}.${`${fraction}000000`.slice(0, 6)}`;
+}
+
+function query(params: UnknownRecord) {
+  return Object.keys(params)
+    .filter((key) => params[key] !== undefined && params[key] !== null)
+    .map((key) => `${encodeURIComponent(key)}=${encodeURIComponent(`${params[key]}`)}`)
+    .join('&');
+}
+
+function groupByKind<T extends { kind: string }>(items: T[], perKind = Infinity) {
+  const groups: Record<string, T[]> = {};
+  items.forEach((item) => {
+    if (!groups[item.kind]) groups[item.kind] = [];
+    if (groups[item.kind].length < perKind) groups[item.kind].push(item);
+  });
+  return groups;
+}
+
+function mapValues<T, V>(record: Record<string, T>, fn: (value: T, key: string) => V) {
+  const mapped: Record<string, V> = {};
+  Object.keys(record).forEach((key) => {
+    mapped[key] = fn(record[key], key);
+  });
+  return mapped;
+}
+
+function setPath(target: UnknownRecord, path: string, value: unknown) {
+  const keys = path.split('.');
+  const last = keys.pop() as string;
+  let node = target;
+  keys.forEach((key) => {
+    if (!isObject(node[key])) node[key] = {};
+    node = node[key] as UnknownRecord;
+  });
+  node[last] = value;
+}
+
+function unsetPath(target: UnknownRecord, path: string) {
+  const keys = path.split('.');
+  const last = keys.pop() as string;
+  let node: unknown = target;
+  keys.forEach((key) => {
+    node = isObject(node) ? node[key] : undefined;
+  });
+  if (isObject(node)) delete node[last];
+}
+
+function authenticate(headers: Record<string, unknown> = {}): Auth {
+  const token = headers.Authorization;
+  if (typeof token !== 'string' || !token) {
+    throw new EmulatorError(401, 'NotAllowedException', 'Authorization header is missing');
+  }
+
+  let payload: { resource?: string; user_id?: string };
+  try {
+    payload = jwtDecode(token);
+  } catch (e) {
+    throw new EmulatorError(401, 'SignatureException', 'Authorization header is not a valid JWT');
+  }
+  // server side tokens carry a scope, user tokens only the user id
+  return { server: !!payload.resource || !payload.user_id, userId: payload.user_id };
+}
+
+function validateFeedId(feedId: unknown, field: string) {
+  if (typeof feedId !== 'string' || !validFeedIdRe.test(feedId)) {
+    throw invalid(`${field} should be a feed id like user:1, got ${JSON.stringify(feedId)}`, field);
+  }
+  return feedId;
+}
+
+function requireServer(auth: Auth) {
+  if (!auth.server) throw notAllowed('This endpoint can only be used server-side');
+}
+
+function requireRead(auth: Auth, feedId: string) {
+  if (auth.server || feedOwner(feedId) === auth.userId || publicFeedGroups.includes(feedSlug(feedId))) return;
+  throw notAllowed(`You don't have permission to read feed ${feedId}`);
+}
+
+function requireWrite(auth: Auth, feedId: string, asTarget = false) {
+  if (auth.server || feedOwner(feedId) === auth.userId) return;
+  if (asTarget && openFeedGroups.includes(feedSlug(feedId))) return;
+  throw notAllowed(`You don't have permission to write to feed ${feedId}`);
+}
+
+function validateData(data: unknown, allowEmpty = true) {
+  if (!isObject(data) || (!allowEmpty && !Object.keys(data).length)) {
+    throw invalid(`data should be ${allowEmpty ? 'an' : 'a non empty'} object`, 'data');
+  }
+  return data;
+}
+
+function requireEntryOwner(auth: Auth, entry: StoredEntry) {
+  if (auth.server || entry.user_id === auth.userId) return;
+  throw notAllowed(`You don't have permission to change entry ${entry.id} of collection ${entry.collection}`);
+}
+
+function requireReactionOwner(auth: Auth, reaction: StoredReaction) {
+  if (auth.server || reaction.user_id === auth.userId) return;
+  throw notAllowed(`You don't have permission to change reaction ${reaction.id}`);
+}
+
+function validateTargetFeeds(auth: Auth, targetFeeds: unknown) {
+  if (targetFeeds === undefined || targetFeeds === null) return [];
+  if (!Array.isArray(targetFeeds)) throw invalid('target_feeds should be a list of feed ids', 'target_feeds');
+  return targetFeeds.map((feedId) => {
+    requireWrite(auth, validateFeedId(feedId, 'target_feeds'), true);
+    return feedId as string;
+  });
+}
+
+function userResponse({ created_at, data, id, updated_at }: StoredUser) {
+  return { created_at, data, id, updated_at };
+}
+
+function entryResponse({ collection, created_at, data, id, updated_at }: StoredEntry) {
+  return { collection, created_at, data, foreign_id: `${collection}:${id}`, id, updated_at };
+}
+
+function enrichContext({ auth, base, params }: EmulatorRequest): EnrichContext {
+  const userParam = auth.server && typeof params.user_id === 'string' ? params.user_id : undefined;
+  return {
+    base,
+    depth: 2,
+    kinds: list(params.reactionKindsFilter),
+    ownChildren: flag(params.withOwnChildren),
+    ownReactions: flag(params.withOwnReactions),
+    reactionCounts: flag(params.withReactionCounts),
+    recentLimit: Math.min(integer(params.recentReactionsLimit, 5, 'recentReactionsLimit'), 25),
+    recentReactions: flag(params.withRecentReactions),
+    userId: userParam || auth.userId,
+    userParam,
+  };
+}
+
+function parseRequest(config: AxiosRequestConfig): EmulatorRequest {
+  const [url, search = ''] = (config.url || '').split('?');
+  const version = url.indexOf('/v1.0/');
+  if (version === -1) throw notFound(`${config.url} is not an url of the API`);
+
+  const base = url.slice(0, version + '/v1.0/'.length);
+  let body = config.data || {};
+  if (typeof body === 'string') body = JSON.parse(body);
+
+  return {
+    auth: authenticate(config.headers),
+    base,
+    body: clone(body),
+    method: (config.method || 'get').toLowerCase(),
+    params: { ...utils.parseQuery(search), ...(config.params || {}) },
+    path: url.slice(base.length).split('/').filter(Boolean).map(decodeURIComponent),
+  };
+}
+
+/**
+ * In memory emulation of the Stream API for tests that should run offline
+ * It covers flat feeds with follow fan-out, activities, reactions, collections, users and follow stats,
+ * answering with the same response bodies, status codes and permission errors as the API.
+ * Aggregated, notification and ranked feeds are read as flat feeds, files, images, og and personalization are not emulated
+ */
+export class Emulator {
+  state: EmulatorState = emptyState();
+  private seq = 0;
+  private tick = 0;
+
+  /**
+   * Forget every user, feed, activity, reaction and collection entry
+   * @method reset
+   * @memberof Emulator.prototype
+   */
+  reset() {
+    this.state = emptyState();
+  }
+
+  /**
+   * Transport answering the requests of a client from the emulator
+   * @method transport
+   * @memberof Emulator.prototype
+   * @param {AxiosRequestConfig} config
+   * @return {Promise<AxiosResponse>}
+   * @example connect(apiKey, apiSecret, appId, { transport: new Emulator().transport })
+   */
+  transport: Transport = (config: AxiosRequestConfig) =>
+    Promise.resolve().then(() => {
+      const started = Date.now();
+      let status: number;
+      let data: unknown;
+      try {
+        [status, data] = this.dispatch(parseRequest(config));
+      } catch (error) {
+        if (!(error instanceof EmulatorError)) throw error;
+        ({ status, body: data } = error);
+      }
+
+      const response: AxiosResponse = {
+        data: { ...clone(data as UnknownRecord), duration: `${(Date.now() - started).toFixed(2)}ms` },
+        status,
+        statusText: '',
+        headers: {},
+        config,
+      };
+      if (status >= 200 && status < 300) return response;
+      throw Object.assign(new Error(`Request failed with status code ${status}`), { config, response });
+    });
+
+  private dispatch(request: EmulatorRequest): [number, unknown] {
+    const { method, path } = request;
+    const [resource, a, b, c, d] = path;
+    const route = `${method} ${resource}/${path.length}`;
+
+    switch (route) {
+      case 'get feed/3':
+        return [200, this.readFeed(request, `${a}:${b}`, false)];
+      case 'get enrich/4':
+        if (a === 'feed') return [200, this.readFeed(request, `${b}:${c}`, true)];
+        break;
+      case 'post feed/3':
+        return [201, this.addActivities(request, `${a}:${b}`)];
+      case 'delete feed/4':
+        return [200, this.removeActivity(request, `${a}:${b}`, c)];
+      case 'post feed/4':
+        if (c === 'following') return [201, this.follow(request, `${a}:${b}`)];
+        break;
+      case 'get feed/4':
+        if (c === 'following' || c === 'followers') return [200, this.follows(request, `${a}:${b}`, c)];
+        break;
+      case 'delete feed/5':
+        if (c === 'following') return [200, this.unfollow(request, `${a}:${b}`, d)];
+        break;
+      case 'post feed_targets/4':
+        if (c === 'activity_to_targets') return [200, this.updateTargets(request, `${a}:${b}`)];
+        break;
+      case 'get stats/2':
+        if (a === 'follow') return [200, this.followStats(request)];
+        break;
+      case 'get activities/1':
+        return [200, this.getActivities(request, false)];
+      case 'get enrich/2':
+        if (a === 'activities') return [200, this.getActivities(request, true)];
+        break;
+      case 'post activities/1':
+        return [200, this.updateActivities(request)];
+      case 'post activity/1':
+        return [200, this.partialUpdate(request)];
+      case 'post reaction/1':
+        return [201, this.addReaction(request)];
+      case 'get reaction/2':
+        return [200, this.reactionResponse(this.findReaction(a), enrichContext(request))];
+      case 'put reaction/2':
+        return [200, this.updateReaction(request, a)];
+      case 'delete reaction/2':
+        return [200, this.deleteReaction(request, a)];
+      case 'get reaction/3':
+      case 'get reaction/4':
+        return [200, this.filterReactions(request, a, b, c)];
+      case 'post collections/1':
+        return [201, this.upsertEntries(request)];
+      case 'get collections/1':
+        return [200, this.selectEntries(request)];
+      case 'delete collections/1':
+        return [200, this.deleteEntries(request)];
+      case 'post collections/2':
+        return [201, this.addEntry(request, a)];
+      case 'get collections/3':
+        return [200, entryResponse(this.findEntry(a, b))];
+      case 'put collections/3':
+        return [200, this.updateEntry(request, a, b)];
+      case 'delete collections/3':
+        return [200, this.deleteEntry(request, a, b)];
+      case 'post user/1':
+        return this.createUser(request);
+      case 'get user/2':
+        return [200, this.getUser(request, a)];
+      case 'put user/2':
+        return [200, this.updateUser(request, a)];
+      case 'delete user/2':
+        return [200, this.deleteUser(request, a)];
+      default:
+    }
+    throw notFound(`${method.toUpperCase()} ${path.join('/')}/ is not emulated`);
+  }
+
+  /*
+   * ISO timestamp with microseconds, strictly increasing so every update moves updated_at
+   */
+  private now() {
+    this.tick = Math.max(Date.now() * 1000, this.tick + 1);
+    const millis = new Date(Math.floor(this.tick / 1000)).toISOString().slice(0, -1);
+    return `${millis}${`00${this.tick % 1000}`.slice(-3)}Z`;
+  }
+
+  private nextSeq() {
+    this.seq += 1;
+    return this.seq;
+  }
+
+  // users
+
+  private findUser(id: string) {
+    if (!has(this.state.users, id)) throw notFound(`User ${id} does not exist`);
+    return this.state.users[id];
+  }
+
+  private createUser({ auth, body, params }: EmulatorRequest): [number, unknown] {
+    const { id, data = {} } = body;
+    if (typeof id !== 'string' || !validIdRe.test(id))
+      throw invalid('id should only contain letters, digits, - and _', 'id');
+    if (!auth.server && auth.userId !== id) throw notAllowed(`You don't have permission to create user ${id}`);
+    validateData(data);
+
+    if (has(this.state.users, id)) {
+      if (flag(params.get_or_create)) return [200, userResponse(this.state.users[id])];
+      throw conflict(`User ${id} already exists`);
+    }
+
+    const now = this.now();
+    const user = { created_at: now, data: data as UnknownRecord, id, updated_at: now };
+    this.state.users[id] = user;
+    return [201, userResponse(user)];
+  }
+
+  private getUser({ params }: EmulatorRequest, id: string) {
+    const user = userResponse(this.findUser(id));
+    if (!flag(params.with_follow_counts)) return user;
+
+    // counts of the timeline -> user follow relationships
+    const { follows } = this.state;
+    return {
+      ...user,
+      followers_count: follows.filter((f) => f.target_id === `user:${id}` && feedSlug(f.feed_id) === 'timeline').length,
+      following_count: follows.filter((f) => f.feed_id === `timeline:${id}` && feedSlug(f.target_id) === 'user').length,
+    };
+  }
+
+  private updateUser({ auth, body }: EmulatorRequest, id: string) {
+    if (!auth.server && auth.userId !== id) throw notAllowed(`You don't have permission to update user ${id}`);
+    const user = this.findUser(id);
+    user.data = validateData(body.data);
+    user.updated_at = this.now();
+    return userResponse(user);
+  }
+
+  private deleteUser({ auth }: EmulatorRequest, id: string) {
+    if (!auth.server && auth.userId !== id) throw notAllowed(`You don't have permission to delete user ${id}`);
+    this.findUser(id);
+    delete this.state.users[id];
+    return {};
+  }
+
+  // collections
+
+  private findEntry(collection: string, id: string) {
+    const key = `${collection}:${id}`;
+    if (!has(this.state.collections, key)) throw notFound(`Entry ${id} of collection ${collection} does not exist`);
+    return this.state.collections[key];
+  }
+
+  private storeEntry(collection: string, id: unknown, data: unknown, userId?: string) {
+    if (typeof id !== 'string' || !validIdRe.test(id))
+      throw invalid('id should only contain letters, digits, - and _', 'id');
+    validateData(data, false);
+
+    const now = this.now();
+    const key = `${collection}:${id}`;
+    const previous = this.state.collections[key];
+    const entry: StoredEntry = {
+      collection,
+      created_at: previous ? previous.created_at : now,
+      data: data as UnknownRecord,
+      id,
+      updated_at: now,
+      user_id: previous ? previous.user_id : userId,
+    };
+    this.state.collections[key] = entry;
+    return entry;
+  }
+
+  private addEntry({ auth, body }: EmulatorRequest, collection: string) {
+    const id = body.id === undefined || body.id === null ? uuid() : body.id;
+    if (typeof id === 'string' && has(this.state.collections, `${collection}:${id}`)) {
+      throw conflict(`Entry ${id} of collection ${collection} already exists`);
+    }
+    const userId = auth.server ? (body.user_id as string | undefined) : auth.userId;
+    return entryResponse(this.storeEntry(collection, id, body.data, userId));
+  }
+
+  private updateEntry({ auth, body }: EmulatorRequest, collection: string, id: string) {
+    if (body.id !== undefined) throw invalid('id cannot be changed', 'id');
+    const entry = this.findEntry(collection, id);
+    requireEntryOwner(auth, entry);
+    return entryResponse(this.storeEntry(collection, id, body.data));
+  }
+
+  private deleteEntry({ auth }: EmulatorRequest, collection: string, id: string) {
+    const entry = this.findEntry(collection, id);
+    requireEntryOwner(auth, entry);
+    delete this.state.collections[`${collection}:${id}`];
+    return {};
+  }
+
+  private upsertEntries({ auth, body }: EmulatorRequest) {
+    requireServer(auth);
+    if (!isObject(body.data)) throw invalid('data should map collection names to entries', 'data');
+
+    return {
+      data: mapValues(body.data, (entries, collection) => {
+        if (!Array.isArray(entries)) throw invalid(`entries of ${collection} should be a list`, 'data');
+        return entries.map(({ id: itemId, user_id: userId, ...itemData }: UnknownRecord) => {
+          const { id, data } = this.storeEntry(collection, itemId, itemData, userId as string | undefined);
+          return { data, id };
+        });
+      }),
+    };
+  }
+
+  private selectEntries({ auth, params }: EmulatorRequest) {
+    requireServer(auth);
+    const data = list(params.foreign_ids)
+      .filter((foreignId) => has(this.state.collections, foreignId))
+      .map((foreignId) => entryResponse(this.state.collections[foreignId]));
+    return { response: { data } };
+  }
+
+  private deleteEntries({ auth, params }: EmulatorRequest) {
+    requireServer(auth);
+    if (typeof params.collection_name !== 'string') throw invalid('collection_name is required', 'collection_name');
+    list(params.ids).forEach((id) => delete this.state.collections[`${params.collection_name}:${id}`]);
+    return {};
+  }
+
+  // feeds and activities
+
+  private entries(feedId: string) {
+    if (!has(this.state.feeds, feedId)) this.state.feeds[feedId] = [];
+    return this.state.feeds[feedId];
+  }
+
+  /*
+   * Newest first, activities with the same time by insertion order
+   */
+  private compareActivities = (a: string, b: string) => {
+    const { activity: x, seq: xSeq } = this.state.activities[a];
+    const { activity: y, seq: ySeq } = this.state.activities[b];
+    if (x.time !== y.time) return x.time < y.time ? 1 : -1;
+    return ySeq - xSeq;
+  };
+
+  private sortedEntries(feedId: string) {
+    return this.entries(feedId)
+      .slice()
+      .sort((a, b) => this.compareActivities(a.id, b.id));
+  }
+
+  private followers(feedId: string) {
+    return this.state.follows.filter((f) => f.target_id === feedId);
+  }
+
+  private insert(feedId: string, id: string, origin: string | null) {
+    const entries = this.entries(feedId);
+    if (!entries.some((entry) => entry.id === id)) entries.push({ id, origin });
+  }
+
+  /*
+   * Add an activity to its feed and to targets, then fan it out to their followers
+   */
+  private distribute(feedId: string, id: string, targets: string[] = []) {
+    [feedId, ...targets].forEach((target) => {
+      this.insert(target, id, null);
+      this.followers(target).forEach((f) => this.insert(f.feed_id, id, target));
+    });
+  }
+
+  private withdraw(feedId: string, id: string) {
+    const { feeds } = this.state;
+    if (has(feeds, feedId)) feeds[feedId] = feeds[feedId].filter((entry) => entry.id !== id);
+    this.followers(feedId).forEach(({ feed_id: follower }) => {
+      if (has(feeds, follower)) {
+        feeds[follower] = feeds[follower].filter((entry) => entry.id !== id || entry.origin !== feedId);
+      }
+    });
+  }
+
+  private findByForeignId(foreignId: string, time: string) {
+    const normalized = normalizeTime(time);
+    const key = Object.keys(this.state.activities).filter((id) => {
+      const { activity } = this.state.activities[id];
+      return activity.foreign_id === foreignId && activity.time === normalized;
+    })[0];
+    return key ? this.state.activities[key] : undefined;
+  }
+
+  private storeActivity({ auth }: EmulatorRequest, input: unknown) {
+    if (!isObject(input)) throw invalid('activity should be an object');
+    // id and origin are set by the API
+    const fields = { ...input };
+    delete fields.id;
+    delete fields.origin;
+    const { actor, verb, to, time, foreign_id: foreignId = '', target = '' } = fields;
+
+    const missing = ['actor', 'verb', 'object'].filter((key) => fields[key] === undefined || fields[key] === '');
+    if (missing.length) {
+      const exceptionFields: Record<string, string[]> = {};
+      missing.forEach((key) => {
+        exceptionFields[key] = ['This field is required.'];
+      });
+      throw new EmulatorError(400, 'InputException', `${missing.join(', ')} should be set`, exceptionFields);
+    }
+    if (typeof actor !== 'string' || typeof verb !== 'string') throw invalid('actor and verb should be strings');
+    if (typeof foreignId !== 'string') throw invalid('foreign_id should be a string', 'foreign_id');
+    if (time !== undefined && (typeof time !== 'string' || !validTimeRe.test(time))) {
+      throw invalid('time should be an ISO timestamp', 'time');
+    }
+    if (to !== undefined && !Array.isArray(to)) throw invalid('to should be a list of feed ids', 'to');
+    const targets = ((to || []) as unknown[]).map((feedId) => validateFeedId(feedId, 'to'));
+
+    if (!auth.server && actor !== `SU:${auth.userId}` && actor !== auth.userId) {
+      throw notAllowed(`You don't have permission to add activities as ${actor}`);
+    }
+    targets.forEach((feedId) => requireWrite(auth, feedId, true));
+
+    const normalizedTime = normalizeTime(time || this.now());
+    // foreign_id and time identify an activity, adding it again replaces it
+    const existing = foreignId ? this.findByForeignId(foreignId, normalizedTime) : undefined;
+    const activity = {
+      ...fields,
+      foreign_id: foreignId,
+      id: existing ? existing.activity.id : uuid(),
+      target,
+      time: normalizedTime,
+    };
+    if (existing) existing.activity = activity;
+    else this.state.activities[activity.id] = { activity, reactionCounts: {}, seq: this.nextSeq() };
+
+    return { activity, targets };
+  }
+
+  private addActivities(request: EmulatorRequest, feedId: string) {
+    validateFeedId(feedId, 'feed');
+    requireWrite(request.auth, feedId);
+
+    const { activities } = request.body;
+    const batch = Array.isArray(activities);
+    // validate all the activities of a batch before adding any
+    const stored = (batch ? (activities as unknown[]) : [request.body]).map((input) =>
+      this.storeActivity(request, input),
+    );
+    stored.forEach(({ activity, targets }) => this.distribute(feedId, activity.id, targets));
+
+    if (batch) return { activities: stored.map(({ activity }) => activity) };
+    return stored[0].activity;
+  }
+
+  private removeActivity({ auth, params }: EmulatorRequest, feedId: string, activityId: string) {
+    requireWrite(auth, feedId);
+
+    const byForeignId = flag(params.foreign_id);
+    this.entries(feedId)
+      .map(({ id }) => this.state.activities[id].activity)
+      .filter((activity) => (byForeignId ? activity.foreign_id : activity.id) === activityId)
+      .forEach(({ id, to }) => {
+        this.withdraw(feedId, id);
+        (to || []).forEach((target) => this.withdraw(target, id));
+      });
+
+    return { removed: activityId };
+  }
+
+  private readFeed(request: EmulatorRequest, feedId: string, enrich: boolean) {
+    const { auth, base, params } = request;
+    validateFeedId(feedId, 'feed');
+    requireRead(auth, feedId);
+
+    const limit = Math.min(integer(params.limit, 25, 'limit'), 100);
+    const offset = integer(params.offset, 0, 'offset');
+    const bounds: [string, (order: number) => boolean][] = [
+      ['id_lt', (order) => order > 0],
+      ['id_lte', (order) => order >= 0],
+      ['id_gt', (order) => order < 0],
+      ['id_gte', (order) => order <= 0],
+    ];
+
+    let entries = this.sortedEntries(feedId);
+    bounds.forEach(([key, keep]) => {
+      const ref = params[key];
+      if (ref === undefined) return;
+      if (typeof ref !== 'string' || !has(this.state.activities, ref))
+        throw invalid(`${key} should be an activity id`, key);
+      entries = entries.filter(({ id }) => keep(this.compareActivities(id, ref)));
+    });
+
+    const page = entries.slice(offset, offset + limit);
+    let next = '';
+    if (page.length && entries.length > offset + limit) {
+      const rest: UnknownRecord = { ...params, id_lt: page[page.length - 1].id, limit };
+      ['id_lte', 'id_gt', 'id_gte', 'offset'].forEach((key) => delete rest[key]);
+      next = `${base.replace(/^\w+:\/\/[^/]+/, '')}${enrich ? 'enrich/' : ''}feed/${feedId.replace(':', '/')}/?${query(
+        rest,
+      )}`;
+    }
+
+    const context = enrich ? enrichContext(request) : undefined;
+    return { next, results: page.map(({ id, origin }) => this.activityResponse(id, origin, context)) };
+  }
+
+  private follow({ auth, body }: EmulatorRequest, feedId: string) {
+    validateFeedId(feedId, 'feed');
+    requireWrite(auth, feedId);
+    const target = validateFeedId(body.target, 'target');
+    if (target === feedId) throw invalid('a feed cannot follow itself', 'target');
+    const copyLimit = integer(body.activity_copy_limit, 300, 'activity_copy_limit');
+    if (copyLimit > 1000) throw invalid('activity_copy_limit should be at most 1000', 'activity_copy_limit');
+
+    if (!this.state.follows.some((f) => f.feed_id === feedId && f.target_id === target)) {
+      const now = this.now();
+      this.state.follows.push({
+        created_at: now,
+        feed_id: feedId,
+        seq: this.nextSeq(),
+        target_id: target,
+        updated_at: now,
+      });
+      this.sortedEntries(target)
+        .slice(0, copyLimit)
+        .forEach(({ id }) => this.insert(feedId, id, target));
+    }
+    return {};
+  }
+
+  private unfollow({ auth, params }: EmulatorRequest, feedId: string, target: string) {
+    validateFeedId(feedId, 'feed');
+    requireWrite(auth, feedId);
+    validateFeedId(target, 'target');
+
+    const { state } = this;
+    state.follows = state.follows.filter((f) => f.feed_id !== feedId || f.target_id !== target);
+    if (!flag(params.keep_history)) {
+      state.feeds[feedId] = this.entries(feedId).filter((entry) => entry.origin !== target);
+    }
+    return {};
+  }
+
+  private follows({ auth, params }: EmulatorRequest, feedId: string, direction: 'followers' | 'following') {
+    validateFeedId(feedId, 'feed');
+    if (!auth.server && feedOwner(feedId) !== auth.userId) {
+      throw notAllowed(`You don't have permission to read the ${direction} of feed ${feedId}`);
+    }
+
+    const limit = Math.min(integer(params.limit, 25, 'limit'), 500);
+    const offset = integer(params.offset, 0, 'offset');
+    const filter = list(params.filter);
+    const [own, other] = direction === 'following' ? ['feed_id', 'target_id'] : ['target_id', 'feed_id'];
+
+    const results = this.state.follows
+      .filter((f) => f[own as 'feed_id'] === feedId && (!filter.length || filter.includes(f[other as 'feed_id'])))
+      .sort((a, b) => b.seq - a.seq)
+      .slice(offset, offset + limit)
+      .map(({ created_at, feed_id, target_id, updated_at }) => ({ created_at, feed_id, target_id, updated_at }));
+    return { results };
+  }
+
+  private followStats({ params }: EmulatorRequest) {
+    const count = (feedId: unknown, own: 'feed_id' | 'target_id', slugs: string[]) => {
+      const other = own === 'feed_id' ? 'target_id' : 'feed_id';
+      return this.state.follows.filter(
+        (f) => f[own] === feedId && (!slugs.length || slugs.includes(feedSlug(f[other]))),
+      ).length;
+    };
+
+    const results: UnknownRecord = {};
+    if (params.followers) {
+      const feed = validateFeedId(params.followers, 'followers');
+      results.followers = { count: count(feed, 'target_id', list(params.followers_slugs)), feed };
+    }
+    if (params.following) {
+      const feed = validateFeedId(params.following, 'following');
+      results.following = { count: count(feed, 'feed_id', list(params.following_slugs)), feed };
+    }
+    return { results };
+  }
+
+  private getActivities(request: EmulatorRequest, enrich: boolean) {
+    const { params } = request;
+    let activities: (StoredActivity | undefined)[];
+
+    if (params.ids !== undefined) {
+      activities = list(params.ids).map((id) => this.state.activities[id]);
+    } else if (params.foreign_ids !== undefined) {
+      const timestamps = list(params.timestamps);
+      const foreignIds = list(params.foreign_ids);
+      if (timestamps.length !== foreignIds.length)
+        throw invalid('foreign_ids and timestamps should have the same length');
+      activities = foreignIds.map((foreignId, i) => this.findByForeignId(foreignId, timestamps[i]));
+    } else {
+      throw invalid('ids or foreign_ids and timestamps are required');
+    }
+
+    const context = enrich ? enrichContext(request) : undefined;
+    return {
+      results: activities
+        .filter((stored) => stored)
+        .map((stored) => this.activityResponse((stored as StoredActivity).activity.id, null, context)),
+    };
+  }
+
+  private updateActivities(request: EmulatorRequest) {
+    requireServer(request.auth);
+    const { activities } = request.body;
+    if (!Array.isArray(activities)) throw invalid('activities should be a list', 'activities');
+
+    activities.forEach((activity) => {
+      if (!isObject(activity) || !activity.foreign_id || !activity.time) {
+        throw invalid('activities are identified by foreign_id and time', 'activities');
+      }
+      this.storeActivity(request, activity);
+    });
+    return {};
+  }
+
+  private partialUpdate({ auth, body }: EmulatorRequest) {
+    const { changes } = body;
+    if (!Array.isArray(changes)) throw invalid('changes should be a list', 'changes');
+
+    const updated = changes.map((change: UnknownRecord) => {
+      const { id, foreign_id: foreignId, time, set = {}, unset = [] } = change;
+      const stored = id
+        ? this.state.activities[id as string]
+        : this.findByForeignId(foreignId as string, (time as string) || '');
+      if (!stored) throw notFound(`Activity ${id || foreignId} does not exist`);
+      if (!auth.server && stored.activity.actor !== `SU:${auth.userId}` && stored.activity.actor !== auth.userId) {
+        throw notAllowed(`You don't have permission to update activity ${stored.activity.id}`);
+      }
+
+      const keys = [...Object.keys(set as UnknownRecord), ...(unset as string[])];
+      const locked = keys.filter((key) => ['foreign_id', 'id', 'time'].includes(key.split('.')[0]));
+      if (locked.length) throw invalid(`${locked.join(', ')} cannot be changed`, 'set');
+
+      const activity = clone(stored.activity);
+      Object.keys(set as UnknownRecord).forEach((key) => setPath(activity, key, (set as UnknownRecord)[key]));
+      (unset as string[]).forEach((key) => unsetPath(activity, key));
+      stored.activity = activity;
+      return { ...activity, origin: null };
+    });
+    return { activities: updated };
+  }
+
+  private updateTargets({ auth, body }: EmulatorRequest, feedId: string) {
+    validateFeedId(feedId, 'feed');
+    requireWrite(auth, feedId);
+
+    const stored = this.findByForeignId(body.foreign_id as string, (body.time as string) || '');
+    if (!stored || !this.entries(feedId).some(({ id }) => id === stored.activity.id)) {
+      throw notFound(`Activity ${body.foreign_id} does not exist in feed ${feedId}`);
+    }
+    const targets = (key: string) => {
+      if (body[key] !== undefined && !Array.isArray(body[key])) throw invalid(`${key} should be a list`, key);
+      return ((body[key] || []) as unknown[]).map((target) => validateFeedId(target, key));
+    };
+
+    const current = stored.activity.to || [];
+    let next = targets('new_targets');
+    if (body.new_targets === undefined) {
+      const removed = targets('removed_targets');
+      next = [...current, ...targets('added_targets')].filter(
+        (target, i, all) => all.indexOf(target) === i && !removed.includes(target),
+      );
+    }
+    next.forEach((target) => requireWrite(auth, target, true));
+
+    const added = next.filter((target) => !current.includes(target));
+    const removed = current.filter((target) => !next.includes(target));
+    removed.forEach((target) => this.withdraw(target, stored.activity.id));
+    added.forEach((target) => this.distribute(target, stored.activity.id));
+    stored.activity = { ...stored.activity, to: next };
+
+    return { ...stored.activity, added, removed };
+  }
+
+  // reactions
+
+  private findReaction(id: string) {
+    if (!has(this.state.reactions, id)) throw notFound(`Reaction ${id} does not exist`);
+    return this.state.reactions[id];
+  }
+
+  private reactionsWhere(predicate: (reaction: StoredReaction) => boolean) {
+    const { reactions } = this.state;
+    return Object.keys(reactions)
+      .map((id) => reactions[id])
+      .filter(predicate)
+      .sort((a, b) => b.seq - a.seq);
+  }
+
+  private depth(reaction: StoredReaction): number {
+    return reaction.parent ? 1 + this.depth(this.state.reactions[reaction.parent]) : 1;
+  }
+
+  /*
+   * Reactions with target feeds are added to them as an activity whose object is the reacted activity
+   */
+  private publishReaction(reaction: StoredReaction, previousTargets: string[] = []) {
+    const { id, activity_id, created_at, kind, target_feeds, target_feeds_extra_data, user_id } = reaction;
+    if (reaction.feedActivityId) {
+      const { feedActivityId } = reaction;
+      previousTargets
+        .filter((target) => !target_feeds.includes(target))
+        .forEach((target) => this.withdraw(target, feedActivityId));
+    }
+    if (!target_feeds.length) return;
+
+    if (!reaction.feedActivityId) reaction.feedActivityId = uuid();
+    const activity = {
+      ...(target_feeds_extra_data || {}),
+      actor: `SU:${user_id}`,
+      foreign_id: `reaction:${id}`,
+      id: reaction.feedActivityId,
+      object: `SA:${activity_id}`,
+      reaction: `SR:${id}`,
+      target: '',
+      time: normalizeTime(created_at),
+      verb: kind,
+    };
+    const stored = this.state.activities[activity.id];
+    if (stored) stored.activity = activity;
+    else this.state.activities[activity.id] = { activity, reactionCounts: {}, seq: this.nextSeq() };
+    target_feeds.forEach((target) => this.distribute(target, activity.id));
+  }
+
+  private addReaction({ auth, body }: EmulatorRequest) {
+    const { id = uuid(), kind, activity_id: activityId, parent, data = {}, target_feeds_extra_data: extra } = body;
+    if (!auth.server && body.user_id !== undefined && body.user_id !== null && body.user_id !== auth.userId) {
+      throw invalid('user_id should be the user of the token', 'user_id');
+    }
+    const userId = auth.server ? body.user_id : auth.userId;
+    if (typeof userId !== 'string' || !userId) throw invalid('user_id is required', 'user_id');
+    if (typeof kind !== 'string' || !kind) throw invalid('kind is required', 'kind');
+    const targetFeeds = validateTargetFeeds(auth, body.target_feeds);
+    validateData(data);
+    if (extra !== undefined && !isObject(extra)) throw invalid('target_feeds_extra_data should be an object');
+    if (typeof id !== 'string' || !validIdRe.test(id)) throw invalid('id should be an uuid', 'id');
+    if (has(this.state.reactions, id)) throw conflict(`Reaction ${id} already exists`);
+
+    let parentReaction: StoredReaction | undefined;
+    let reactedActivity = activityId as string;
+    if (parent) {
+      parentReaction = this.state.reactions[parent as string];
+      if (!parentReaction) throw invalid(`parent reaction ${parent} does not exist`, 'parent');
+      if (this.depth(parentReaction) >= maxReactionDepth) {
+        throw invalid(`reactions can only be nested ${maxReactionDepth} levels deep`, 'parent');
+      }
+      reactedActivity = parentReaction.activity_id;
+    } else if (typeof activityId !== 'string' || !has(this.state.activities, activityId)) {
+      throw invalid(`activity ${activityId} does not exist`, 'activity_id');
+    }
+
+    const now = this.now();
+    const reaction: StoredReaction = {
+      activity_id: reactedActivity,
+      children_counts: {},
+      created_at: now,
+      data: data as UnknownRecord,
+      id,
+      kind,
+      parent: parentReaction ? parentReaction.id : '',
+      seq: this.nextSeq(),
+      target_feeds: targetFeeds,
+      updated_at: now,
+      user_id: userId,
+      ...(extra ? { target_feeds_extra_data: extra as UnknownRecord } : {}),
+    };
+    this.state.reactions[id] = reaction;
+    const counts = parentReaction
+      ? parentReaction.children_counts
+      : this.state.activities[reactedActivity].reactionCounts;
+    counts[kind] = (counts[kind] || 0) + 1;
+    this.publishReaction(reaction);
+
+    return { ...this.reactionResponse(reaction), ...(extra ? { target_feeds_extra_data: extra } : {}) };
+  }
+
+  private updateReaction({ auth, body }: EmulatorRequest, id: string) {
+    const reaction = this.findReaction(id);
+    requireReactionOwner(auth, reaction);
+    const targetFeeds = validateTargetFeeds(auth, body.target_feeds);
+    const { target_feeds_extra_data: extra } = body;
+    if (extra !== undefined && !isObject(extra)) throw invalid('target_feeds_extra_data should be an object');
+
+    const previousTargets = reaction.target_feeds;
+    reaction.data = validateData(body.data === undefined ? reaction.data : body.data);
+    reaction.target_feeds = targetFeeds;
+    if (extra) reaction.target_feeds_extra_data = extra;
+    reaction.updated_at = this.now();
+    this.publishReaction(reaction, previousTargets);
+
+    return this.reactionResponse(reaction);
+  }
+
+  private deleteReaction({ auth }: EmulatorRequest, id: string) {
+    const reaction = this.findReaction(id);
+    requireReactionOwner(auth, reaction);
+
+    const remove = (removed: StoredReaction) => {
+      this.reactionsWhere((child) => child.parent === removed.id).forEach(remove);
+      if (removed.feedActivityId) {
+        const { feedActivityId } = removed;
+        removed.target_feeds.forEach((target) => this.withdraw(target, feedActivityId));
+        delete this.state.activities[feedActivityId];
+      }
+      delete this.state.reactions[removed.id];
+    };
+    remove(reaction);
+
+    // counts keep the kind at zero like the API does
+    const counts = reaction.parent
+      ? (this.state.reactions[reaction.parent] || { children_counts: {} }).children_counts
+      : (this.state.activities[reaction.activity_id] || { reactionCounts: {} }).reactionCounts;
+    counts[reaction.kind] = Math.max((counts[reaction.kind] || 0) - 1, 0);
+    return {};
+  }
+
+  private filterReactions(request: EmulatorRequest, lookup: string, value: string, kind?: string) {
+    const { base, params } = request;
+    const fields: Record<string, 'activity_id' | 'parent' | 'user_id'> = {
+      activity_id: 'activity_id',
+      reaction_id: 'parent',
+      user_id: 'user_id',
+    };
+    const field = fields[lookup];
+    if (!field) throw notFound(`reactions cannot be looked up by ${lookup}`);
+
+    const limit = Math.min(integer(params.limit, 10, 'limit'), 25);
+    let reactions = this.reactionsWhere((reaction) => reaction[field] === value && (!kind || reaction.kind === kind));
+    const ascending = params.id_gt !== undefined || params.id_gte !== undefined;
+    const bounds: [string, (seq: number, ref: number) => boolean][] = [
+      ['id_lt', (seq, ref) => seq < ref],
+      ['id_lte', (seq, ref) => seq <= ref],
+      ['id_gt', (seq, ref) => seq > ref],
+      ['id_gte', (seq, ref) => seq >= ref],
+    ];
+    bounds.forEach(([key, keep]) => {
+      const ref = params[key];
+      if (ref === undefined) return;
+      if (typeof ref !== 'string' || !has(this.state.reactions, ref))
+        throw invalid(`${key} should be a reaction id`, key);
+      reactions = reactions.filter(({ seq }) => keep(seq, this.state.reactions[ref].seq));
+    });
+    if (ascending) reactions.reverse();
+
+    const context = enrichContext(request);
+    const page = reactions.slice(0, limit);
+    let next = '';
+    if (page.length && reactions.length > limit) {
+      next = `${base}reaction/${lookup}/${value}/${kind ? `${kind}/` : ''}?${query({
+        [ascending ? 'id_gt' : 'id_lt']: page[page.length - 1].id,
+        limit,
+        user_id: context.userParam,
+        withOwnChildren: context.ownChildren,
+      })}`;
+    }
+
+    const response: UnknownRecord = { next, results: page.map((reaction) => this.reactionResponse(reaction, context)) };
+    if (lookup === 'activity_id' && flag(params.with_activity_data) && has(this.state.activities, value)) {
+      response.activity = this.activityResponse(value, null, {
+        ...context,
+        ownReactions: true,
+        reactionCounts: true,
+        recentReactions: true,
+      });
+    }
+    return response;
+  }
+
+  // enrichment
+
+  /*
+   * Replace SU:, SO:, SA: and SR: references with the objects, missing objects become ReferenceNotFound errors
+   */
+  private resolve(value: unknown, context: EnrichContext): unknown {
+    if (typeof value !== 'string') return value;
+    const match = /^S([UOAR]):(.+)$/.exec(value);
+    if (!match) return value;
+
+    const [, type, ref] = match;
+    const missing = (fields: UnknownRecord) => ({ error: 'ReferenceNotFound', reference: value, ...fields });
+    const { activities, collections, reactions, users } = this.state;
+
+    if (type === 'U') {
+      return has(users, ref) ? userResponse(users[ref]) : missing({ id: ref, reference_type: 'user' });
+    }
+    if (type === 'O') {
+      const [collection, ...id] = ref.split(':');
+      if (!id.length) return value;
+      return has(collections, ref)
+        ? entryResponse(collections[ref])
+        : missing({ collection, id: id.join(':'), reference_type: 'object' });
+    }
+    if (type === 'A') {
+      if (!has(activities, ref) || !context.depth) return missing({ id: ref, reference_type: 'activity' });
+      return this.activityResponse(ref, undefined, { ...context, depth: context.depth - 1 });
+    }
+    return has(reactions, ref)
+      ? this.reactionResponse(reactions[ref], context)
+      : missing({ id: ref, reference_type: 'reaction' });
+  }
+
+  /*
+   * origin is the followed feed the activity was copied from, activities read outside of a feed have none
+   */
+  private activityResponse(id: string, origin?: string | null, context?: EnrichContext) {
+    const { activity, reactionCounts } = this.state.activities[id];
+    const response: UnknownRecord = origin === undefined ? { ...activity } : { ...activity, origin };
+    if (!context) return response;
+
+    Object.keys(response).forEach((key) => {
+      if (!unresolvedFields.includes(key)) response[key] = this.resolve(response[key], context);
+    });
+
+    const { kinds, recentLimit, userId } = context;
+    const reactions = this.reactionsWhere(
+      (reaction) => reaction.activity_id === id && !reaction.parent && (!kinds.length || kinds.includes(reaction.kind)),
+    );
+    const enrich = (group: StoredReaction[]) => group.map((reaction) => this.reactionResponse(reaction, context));
+
+    if (context.ownReactions) {
+      response.own_reactions = mapValues(
+        groupByKind(
+          reactions.filter((reaction) => reaction.user_id === userId),
+          recentLimit,
+        ),
+        enrich,
+      );
+    }
+    if (context.recentReactions) {
+      const all = groupByKind(reactions);
+      response.latest_reactions = mapValues(all, (group) => enrich(group.slice(0, recentLimit)));
+      response.latest_reactions_extra = mapValues(all, (group, kind) => {
+        if (group.length <= recentLimit) return { next: '' };
+        const params = {
+          id_lt: group[recentLimit - 1].id,
+          limit: recentLimit,
+          user_id: context.userParam,
+          withOwnChildren: context.ownChildren,
+        };
+        return { next: `${context.base}reaction/activity_id/${id}/${kind}/?${query(params)}` };
+      });
+    }
+    if (context.reactionCounts) response.reaction_counts = { ...reactionCounts };
+    return response;
+  }
+
+  private reactionResponse(reaction: StoredReaction, context?: EnrichContext): UnknownRecord {
+    const { activity_id, children_counts, created_at, data, id, kind, parent, updated_at, user_id } = reaction;
+    const children = this.reactionsWhere((child) => child.parent === id);
+    const enrich = (group: StoredReaction[]) => group.map((child) => this.reactionResponse(child, context));
+
+    const response: UnknownRecord = {
+      activity_id,
+      children_counts: { ...children_counts },
+      created_at,
+      data,
+      id,
+      kind,
+      latest_children: mapValues(groupByKind(children.slice(0, latestChildrenLimit)), enrich),
+      parent,
+      updated_at,
+      user: has(this.state.users, user_id)
+        ? userResponse(this.state.users[user_id])
+        : { error: 'ReferenceNotFound', id: user_id, reference: `SU:${user_id}`, reference_type: 'user' },
+      user_id,
+    };
+    if (context && context.ownChildren) {
+      const own = children.filter((child) => child.user_id === context.userId);
+      response.own_children = mapValues(groupByKind(own, ownChildrenLimit), enrich);
+    }
+    return response;
+  }
+}
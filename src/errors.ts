@@ -44,8 +44,44 @@ export class FeedError extends ErrorAbstract {}
  * @extends ErrorAbstract
  * @memberof Stream.errors
  * @param  {string}  [msg]  An error message that will probably end up in a log.
+ * @param  {Error}  [cause]  The underlying error, ie the axios network error
  */
-export class SiteError extends ErrorAbstract {}
+export class SiteError extends ErrorAbstract {
+  cause?: unknown;
+
+  constructor(msg: string, cause?: unknown) {
+    super(msg);
+
+    this.cause = cause;
+  }
+}
+
+/**
+ * AbortError, the request was cancelled through its AbortSignal
+ * @class AbortError
+ * @extends ErrorAbstract
+ * @memberof Stream.errors
+ * @param  {string}  [msg]  An error message that will probably end up in a log.
+ */
+export class AbortError extends ErrorAbstract {}
+
+/**
+ * TokenError, a JWT token is malformed, badly signed, expired or not valid yet
+ * @class TokenError
+ * @extends ErrorAbstract
+ * @memberof Stream.errors
+ * @param  {string}  [msg]  An error message that will probably end up in a log.
+ * @param  {Error}  [cause]  The underlying jsonwebtoken error
+ */
+export class TokenError extends ErrorAbstract {
+  cause?: unknown;
+
+  constructor(msg: string, cause?: unknown) {
+    super(msg);
+
+    this.cause = cause;
+  }
+}
 
 /**
  * MissingSchemaError
@@ -57,6 +93,14 @@ export class SiteError extends ErrorAbstract {}
  */
 export class MissingSchemaError extends ErrorAbstract {}
 
+type APIErrorBody = {
+  code?: number;
+  detail?: string;
+  duration?: string;
+  exception?: string;
+  exception_fields?: Record<string, string[]>;
+};
+
 /**
  * StreamApiError
  * @method StreamApiError
@@ -70,11 +114,99 @@ export class MissingSchemaError extends ErrorAbstract {}
 export class StreamApiError extends ErrorAbstract {
   error: unknown;
   response: AxiosResponse;
+  statusCode: number;
+  code?: number;
+  exception?: string;
+  exceptionFields?: Record<string, string[]>;
+  duration?: string;
 
   constructor(msg: string, data: unknown, response: AxiosResponse) {
     super(msg);
 
     this.error = data;
     this.response = response;
+
+    const body: APIErrorBody = data && typeof data === 'object' ? data : {};
+    this.statusCode = response.status;
+    this.code = body.code;
+    this.exception = body.exception;
+    this.exceptionFields = body.exception_fields;
+    this.duration = body.duration;
   }
 }
+
+/**
+ * ValidationError, the request was rejected because of invalid input (HTTP 400)
+ * @class ValidationError
+ * @extends StreamApiError
+ * @memberof Stream.errors
+ */
+export class ValidationError extends StreamApiError {}
+
+/**
+ * AuthenticationError, the token or api key is invalid or lacks permissions (HTTP 401, 403)
+ * @class AuthenticationError
+ * @extends StreamApiError
+ * @memberof Stream.errors
+ */
+export class AuthenticationError extends StreamApiError {}
+
+/**
+ * NotFoundError, the requested resource does not exist (HTTP 404)
+ * @class NotFoundError
+ * @extends StreamApiError
+ * @memberof Stream.errors
+ */
+export class NotFoundError extends StreamApiError {}
+
+/**
+ * ConflictError, the resource already exists or was modified concurrently (HTTP 409)
+ * @class ConflictError
+ * @extends StreamApiError
+ * @memberof Stream.errors
+ */
+export class ConflictError extends StreamApiError {}
+
+/**
+ * RateLimitError, the rate limit of the endpoint is exhausted (HTTP 429)
+ * @class RateLimitError
+ * @extends StreamApiError
+ * @memberof Stream.errors
+ */
+export class RateLimitError extends StreamApiError {}
+
+const errorsByException: Record<string, typeof StreamApiError> = {
+  ApiKeyException: AuthenticationError,
+  CustomFieldException: ValidationError,
+  DoesNotExistException: NotFoundError,
+  InputException: ValidationError,
+  NotAllowedException: AuthenticationError,
+  RateLimitReached: RateLimitError,
+  SignatureException: AuthenticationError,
+};
+
+const errorsByStatus: Record<number, typeof StreamApiError> = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: AuthenticationError,
+  404: NotFoundError,
+  409: ConflictError,
+  429: RateLimitError,
+};
+
+/**
+ * Build the StreamApiError subclass matching Stream's exception or the HTTP status of an error response
+ * @method createStreamApiError
+ * @access private
+ * @memberof Stream.errors
+ * @param  {object} response
+ * @return {StreamApiError}
+ */
+export function createStreamApiError(response: AxiosResponse) {
+  const { data, status } = response;
+  const body: APIErrorBody = data && typeof data === 'object' ? data : {};
+
+  const ErrorClass = (body.exception && errorsByException[body.exception]) || errorsByStatus[status] || StreamApiError;
+
+  return new ErrorClass(`${JSON.stringify(data)} with HTTP status code ${status}`, data, response);
+}
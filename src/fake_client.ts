@@ -0,0 +1,230 @@
+import * as asyncHooks from 'async_hooks';
+
+import { StreamClient, UnknownRecord } from './client';
+import { Emulator } from './emulator';
+
+/**
+ * Call recorded by a fake client, method is the path of the method from the client, e.g. 'feed.addActivity',
+ * target is the feed id for feed methods and the user id for user methods
+ */
+export type FakeCall = {
+  args: unknown[];
+  method: string;
+  target?: string;
+};
+
+/**
+ * Canned response of a method, a function is called with each call and its return value or promise is used
+ */
+export type FakeResponse = unknown | ((call: FakeCall) => unknown);
+
+export type FakeClientOptions = {
+  emulator?: Emulator;
+  userId?: string;
+};
+
+export type FakeStreamClient<
+  UserType extends UnknownRecord = UnknownRecord,
+  ActivityType extends UnknownRecord = UnknownRecord,
+  CollectionType extends UnknownRecord = UnknownRecord,
+  ReactionType extends UnknownRecord = UnknownRecord,
+  ChildReactionType extends UnknownRecord = UnknownRecord,
+  PersonalizationType extends UnknownRecord = UnknownRecord
+> = StreamClient<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType, PersonalizationType> & {
+  calls: (method?: string) => FakeCall[];
+  emulator: Emulator;
+  fail: (method: string, error: Error) => void;
+  reset: () => void;
+  respond: (method: string, response: FakeResponse) => void;
+};
+
+type Methods = Record<string, (...args: unknown[]) => unknown>;
+
+// follows a recorded call into the async calls it makes, missing in browsers and before node 12.17
+const { AsyncLocalStorage } = asyncHooks || {};
+
+// methods sending requests, by the path of their object from the client
+const recordedMethods: Record<string, string[]> = {
+  '': [
+    'activitiesPartialUpdate',
+    'activityPartialUpdate',
+    'addToMany',
+    'followMany',
+    'getActivities',
+    'og',
+    'personalizedFeed',
+    'resolveReferences',
+    'setUser',
+    'unfollowMany',
+    'updateActivities',
+    'updateActivity',
+  ],
+  collections: [
+    'add',
+    'delete',
+    'deleteMany',
+    'deleteManyChunked',
+    'get',
+    'select',
+    'selectChunked',
+    'update',
+    'upsert',
+    'upsertChunked',
+    'upsertMany',
+  ],
+  feed: [
+    'addActivities',
+    'addActivity',
+    'follow',
+    'followStats',
+    'followers',
+    'following',
+    'get',
+    'getActivityDetail',
+    'removeActivity',
+    'unfollow',
+    'updateActivityToTargets',
+  ],
+  files: ['delete', 'upload'],
+  images: ['delete', 'process', 'thumbnail', 'upload'],
+  personalization: ['delete', 'get', 'post'],
+  reactions: ['add', 'addChild', 'delete', 'filter', 'filterNext', 'get', 'update'],
+  user: ['create', 'delete', 'get', 'getOrCreate', 'profile', 'update'],
+};
+
+/**
+ * Create a client for unit tests recording every call sent to the API
+ * A call answers with the canned response of its method when there is one, otherwise the request is sent
+ * to an in memory Emulator so reads see what was written before. Calls made by another recorded method,
+ * e.g. user.create by user.getOrCreate, are not recorded, in browsers and before node 12.17 only the calls it makes
+ * before its first await are recognized
+ * @method createFakeClient
+ * @param {FakeClientOptions} [options]
+ * @param {Emulator} [options.emulator] - emulator answering the calls without a canned response
+ * @param {string} [options.userId] - create a client side client for this user, a server side client otherwise
+ * @return {FakeStreamClient}
+ * @example
+ * const fake = createFakeClient();
+ * fake.respond('collections.get', { id: 'cheese', collection: 'food', data: { name: 'cheese' } });
+ * await addCheeseToTimeline(fake);
+ * fake.calls('feed.addActivity'); // [{ method: 'feed.addActivity', target: 'timeline:bob', args: [...] }]
+ */
+export function createFakeClient<
+  UserType extends UnknownRecord = UnknownRecord,
+  ActivityType extends UnknownRecord = UnknownRecord,
+  CollectionType extends UnknownRecord = UnknownRecord,
+  ReactionType extends UnknownRecord = UnknownRecord,
+  ChildReactionType extends UnknownRecord = UnknownRecord,
+  PersonalizationType extends UnknownRecord = UnknownRecord
+>({ emulator = new Emulator(), userId }: FakeClientOptions = {}) {
+  type Client = StreamClient<
+    UserType,
+    ActivityType,
+    CollectionType,
+    ReactionType,
+    ChildReactionType,
+    PersonalizationType
+  >;
+
+  const options = { transport: emulator.transport };
+  const server = new StreamClient('fake', 'fake', 'fake', options);
+  const client = (userId
+    ? new StreamClient('fake', server.createUserToken(userId), 'fake', options)
+    : server) as Client;
+
+  let recorded: FakeCall[] = [];
+  let responses: Record<string, (call: FakeCall) => unknown> = {};
+  // set while a recorded method runs so the calls it makes itself are not recorded, the async local storage
+  // keeps it set after the awaits of the method, without it only the calls made before the first await are skipped
+  const running = AsyncLocalStorage ? new AsyncLocalStorage<boolean>() : undefined;
+  let depth = 0;
+
+  const record = <T>(object: T, path: string, target?: string) => {
+    const methods = (object as unknown) as Methods;
+
+    recordedMethods[path].forEach((name) => {
+      const original = methods[name];
+      if (typeof original !== 'function') return;
+
+      const method = path ? `${path}.${name}` : name;
+      methods[name] = (...args: unknown[]) => {
+        if (depth || (running && running.getStore())) return original.apply(object, args);
+
+        const call: FakeCall = { args, method, ...(target ? { target } : {}) };
+        recorded.push(call);
+
+        const response = responses[method];
+        if (response) return new Promise((resolve) => resolve(response(call)));
+
+        if (running) return running.run(true, () => original.apply(object, args));
+
+        depth++;
+        try {
+          return original.apply(object, args);
+        } finally {
+          depth--;
+        }
+      };
+    });
+
+    return object;
+  };
+
+  const { feed, user } = client;
+  client.feed = ((...args: Parameters<Client['feed']>) => {
+    const instance = feed.apply(client, args);
+    return record(instance, 'feed', instance.id);
+  }) as Client['feed'];
+  client.user = (id: string) => record(user.call(client, id), 'user', id);
+
+  if (client.currentUser) record(client.currentUser, 'user', client.currentUser.id);
+  ['collections', 'files', 'images', 'personalization', 'reactions'].forEach((path) =>
+    record(((client as unknown) as Record<string, unknown>)[path], path),
+  );
+  record(client, '');
+
+  const fake = client as FakeStreamClient<
+    UserType,
+    ActivityType,
+    CollectionType,
+    ReactionType,
+    ChildReactionType,
+    PersonalizationType
+  >;
+  fake.emulator = emulator;
+
+  /**
+   * Recorded calls, oldest first
+   * @param {string} [method] - only the calls of this method, e.g. 'feed.addActivity'
+   * @return {FakeCall[]}
+   */
+  fake.calls = (method?: string) => recorded.filter((call) => !method || call.method === method);
+
+  /**
+   * Answer every following call of a method with a canned response instead of the emulator
+   * @param {string} method - e.g. 'reactions.add'
+   * @param {FakeResponse} response - value to resolve with or function called with each call
+   */
+  fake.respond = (method: string, response: FakeResponse) => {
+    responses[method] = typeof response === 'function' ? (response as (call: FakeCall) => unknown) : () => response;
+  };
+
+  /**
+   * Reject every following call of a method with an error
+   * @param {string} method
+   * @param {Error} error
+   */
+  fake.fail = (method: string, error: Error) => {
+    responses[method] = () => Promise.reject(error);
+  };
+
+  /**
+   * Forget the recorded calls and the canned responses, emulator.reset() clears the emulated data
+   */
+  fake.reset = () => {
+    recorded = [];
+    responses = {};
+  };
+
+  return fake;
+}
@@ -1,12 +1,21 @@
 /// <reference path="../types/modules.d.ts" />
+/// <reference lib="es2018.asyncgenerator" />
 
 import * as Faye from 'faye';
-import { StreamClient, APIResponse, UnknownRecord } from './client';
+import { StreamClient, APIResponse, UnknownRecord, RequestOptions } from './client';
 import { StreamUser } from './user';
 import { FeedError, SiteError } from './errors';
 import utils from './utils';
 import { EnrichedReaction } from './reaction';
-import { CollectionResponse } from './collections';
+import { CollectionData, CollectionResponse } from './collections';
+import {
+  FeedSubscription,
+  RealtimeCallback,
+  RealtimeHandlers,
+  SubscribeOptions,
+  realtimeCallback,
+  recoverableCallback,
+} from './realtime';
 
 export type EnrichOptions = {
   enrich?: boolean;
@@ -46,8 +55,14 @@ export type GetFollowOptions = {
   offset?: number;
 };
 
+export type IterateFollowOptions = Omit<GetFollowOptions, 'offset'> & {
+  slug?: string | string[];
+};
+
+export type FollowResult = { created_at: string; feed_id: string; target_id: string; updated_at: string };
+
 export type GetFollowAPIResponse = APIResponse & {
-  results: { created_at: string; feed_id: string; target_id: string; updated_at: string }[];
+  results: FollowResult[];
 };
 
 export type FollowStatsAPIResponse = APIResponse & {
@@ -104,7 +119,7 @@ export type EnrichedActivity<
     | unknown
     | EnrichedActivity<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>
     | EnrichedReaction<ReactionType, ChildReactionType, UserType>
-    | CollectionResponse<CollectionType>;
+    | CollectionResponse<CollectionData<CollectionType>>;
 
   latest_reactions?: ReactionsRecords<ReactionType, ChildReactionType, UserType>;
   latest_reactions_extra?: Record<string, { next?: string }>;
@@ -188,6 +203,14 @@ export type FeedAPIResponse<
   unseen?: number;
 };
 
+export type FeedResult<
+  UserType extends UnknownRecord = UnknownRecord,
+  ActivityType extends UnknownRecord = UnknownRecord,
+  CollectionType extends UnknownRecord = UnknownRecord,
+  ReactionType extends UnknownRecord = UnknownRecord,
+  ChildReactionType extends UnknownRecord = UnknownRecord
+> = FeedAPIResponse<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>['results'][number];
+
 export type PersonalizationFeedAPIResponse<
   UserType extends UnknownRecord = UnknownRecord,
   ActivityType extends UnknownRecord = UnknownRecord,
@@ -279,19 +302,25 @@ export class StreamFeed<
    * @method addActivity
    * @memberof StreamFeed.prototype
    * @param {NewActivity<ActivityType>} activity - The activity to add
+   * @param {RequestOptions} [requestOptions] - abort signal and timeout of this call
    * @return {Promise<Activity<ActivityType>>}
    */
-  addActivity(activity: NewActivity<ActivityType>) {
+  addActivity(activity: NewActivity<ActivityType>, requestOptions?: RequestOptions) {
     activity = utils.replaceStreamObjects(activity);
     if (!activity.actor && this.client.currentUser) {
       activity.actor = this.client.currentUser.ref();
     }
 
-    return this.client.post<Activity<ActivityType>>({
-      url: `feed/${this.feedUrl}/`,
-      body: activity,
-      token: this.token,
-    });
+    return this.client.invalidateAfter(
+      this.client.post<Activity<ActivityType>>({
+        ...requestOptions,
+        url: `feed/${this.feedUrl}/`,
+        body: activity,
+        token: this.token,
+      }),
+      'feeds',
+      [this.id, ...(activity.to || [])],
+    );
   }
 
   /**
@@ -299,16 +328,22 @@ export class StreamFeed<
    * @method removeActivity
    * @memberof StreamFeed.prototype
    * @param  {string}   activityId Identifier of activity to remove
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<APIResponse & { removed: string }>}
    * @example feed.removeActivity(activityId);
    * @example feed.removeActivity({'foreignId': foreignId});
    */
-  removeActivity(activityId: string | { foreignId: string }) {
-    return this.client.delete<APIResponse & { removed: string }>({
-      url: `feed/${this.feedUrl}/${(activityId as { foreignId: string }).foreignId || activityId}/`,
-      qs: (activityId as { foreignId: string }).foreignId ? { foreign_id: '1' } : {},
-      token: this.token,
-    });
+  removeActivity(activityId: string | { foreignId: string }, requestOptions?: RequestOptions) {
+    return this.client.invalidateAfter(
+      this.client.delete<APIResponse & { removed: string }>({
+        ...requestOptions,
+        url: `feed/${this.feedUrl}/${(activityId as { foreignId: string }).foreignId || activityId}/`,
+        qs: (activityId as { foreignId: string }).foreignId ? { foreign_id: '1' } : {},
+        token: this.token,
+      }),
+      'feeds',
+      [this.id],
+    );
   }
 
   /**
@@ -316,14 +351,24 @@ export class StreamFeed<
    * @method addActivities
    * @memberof StreamFeed.prototype
    * @param  {NewActivity<ActivityType>[]}   activities Array of activities to add
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<Activity<ActivityType>[]>}
    */
-  addActivities(activities: NewActivity<ActivityType>[]) {
-    return this.client.post<Activity<ActivityType>[]>({
-      url: `feed/${this.feedUrl}/`,
-      body: { activities: utils.replaceStreamObjects(activities) },
-      token: this.token,
-    });
+  addActivities(activities: NewActivity<ActivityType>[], requestOptions?: RequestOptions) {
+    // the activities are added to their to targets too
+    const feeds = [this.id];
+    activities.forEach(({ to }) => feeds.push(...(to || [])));
+
+    return this.client.invalidateAfter(
+      this.client.post<Activity<ActivityType>[]>({
+        ...requestOptions,
+        url: `feed/${this.feedUrl}/`,
+        body: { activities: utils.replaceStreamObjects(activities) },
+        token: this.token,
+      }),
+      'feeds',
+      feeds,
+    );
   }
 
   /**
@@ -334,12 +379,18 @@ export class StreamFeed<
    * @param  {string}   targetUserId User identifier of the target feed
    * @param  {object}   [options]      Additional options
    * @param  {number}   [options.limit] Limit the amount of activities copied over on follow
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<APIResponse>}
    * @example feed.follow('user', '1');
    * @example feed.follow('user', '1');
    * @example feed.follow('user', '1', options);
    */
-  follow(targetSlug: string, targetUserId: string | { id: string }, options: { limit?: number } = {}) {
+  follow(
+    targetSlug: string,
+    targetUserId: string | { id: string },
+    options: { limit?: number } = {},
+    requestOptions?: RequestOptions,
+  ) {
     if (targetUserId instanceof StreamUser) {
       targetUserId = targetUserId.id;
     }
@@ -349,11 +400,16 @@ export class StreamFeed<
     const body: { target: string; activity_copy_limit?: number } = { target: `${targetSlug}:${targetUserId}` };
     if (typeof options.limit === 'number') body.activity_copy_limit = options.limit;
 
-    return this.client.post<APIResponse>({
-      url: `feed/${this.feedUrl}/following/`,
-      body,
-      token: this.token,
-    });
+    return this.client.invalidateAfter(
+      this.client.post<APIResponse>({
+        ...requestOptions,
+        url: `feed/${this.feedUrl}/following/`,
+        body,
+        token: this.token,
+      }),
+      'feeds',
+      [this.id],
+    );
   }
 
   /**
@@ -365,21 +421,32 @@ export class StreamFeed<
    * @param  {object} [options]
    * @param  {boolean} [options.keepHistory] when provided the activities from target
    *                                                 feed will not be kept in the feed
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<APIResponse>}
    * @example feed.unfollow('user', '2');
    */
-  unfollow(targetSlug: string, targetUserId: string, options: { keepHistory?: boolean } = {}) {
+  unfollow(
+    targetSlug: string,
+    targetUserId: string,
+    options: { keepHistory?: boolean } = {},
+    requestOptions?: RequestOptions,
+  ) {
     const qs: { keep_history?: string } = {};
     if (typeof options.keepHistory === 'boolean' && options.keepHistory) qs.keep_history = '1';
 
     utils.validateFeedSlug(targetSlug);
     utils.validateUserId(targetUserId);
     const targetFeedId = `${targetSlug}:${targetUserId}`;
-    return this.client.delete<APIResponse>({
-      url: `feed/${this.feedUrl}/following/${targetFeedId}/`,
-      qs,
-      token: this.token,
-    });
+    return this.client.invalidateAfter(
+      this.client.delete<APIResponse>({
+        ...requestOptions,
+        url: `feed/${this.feedUrl}/following/${targetFeedId}/`,
+        qs,
+        token: this.token,
+      }),
+      'feeds',
+      [this.id],
+    );
   }
 
   /**
@@ -390,14 +457,16 @@ export class StreamFeed<
    * @param  {string[]}   options.filter array of feed id to filter on
    * @param  {number}   options.limit pagination
    * @param  {number}   options.offset pagination
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<GetFollowAPIResponse>}
    * @example feed.following({limit:10, filter: ['user:1', 'user:2']});
    */
-  following(options: GetFollowOptions = {}) {
+  following(options: GetFollowOptions = {}, requestOptions?: RequestOptions) {
     const extraOptions: { filter?: string } = {};
     if (options.filter) extraOptions.filter = options.filter.join(',');
 
     return this.client.get<GetFollowAPIResponse>({
+      ...requestOptions,
       url: `feed/${this.feedUrl}/following/`,
       qs: { ...options, ...extraOptions },
       token: this.token,
@@ -412,20 +481,104 @@ export class StreamFeed<
    * @param  {string[]}   options.filter array of feed id to filter on
    * @param  {number}   options.limit pagination
    * @param  {number}   options.offset pagination
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<GetFollowAPIResponse>}
    * @example feed.followers({limit:10, filter: ['user:1', 'user:2']});
    */
-  followers(options: GetFollowOptions = {}) {
+  followers(options: GetFollowOptions = {}, requestOptions?: RequestOptions) {
     const extraOptions: { filter?: string } = {};
     if (options.filter) extraOptions.filter = options.filter.join(',');
 
     return this.client.get<GetFollowAPIResponse>({
+      ...requestOptions,
       url: `feed/${this.feedUrl}/followers/`,
       qs: { ...options, ...extraOptions },
       token: this.token,
     });
   }
 
+  /**
+   * Walks through a follow list by offset, optionally keeping only the feeds of some slugs
+   * @method iterateFollows
+   * @memberof StreamFeed.prototype
+   * @private
+   * @param  {string}   list  followers or following
+   * @param  {IterateFollowOptions}   options
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of each call
+   * @return {AsyncGenerator<FollowResult>}
+   */
+  async *iterateFollows(
+    list: 'followers' | 'following',
+    { slug, ...options }: IterateFollowOptions,
+    requestOptions?: RequestOptions,
+  ) {
+    const slugs = slug === undefined ? undefined : ([] as string[]).concat(slug);
+    // the other end of the relation, the follower or the followed feed
+    const field = list === 'followers' ? 'feed_id' : 'target_id';
+    let offset = 0;
+
+    while (true) {
+      // pages are chained, each request needs the previous response
+      // eslint-disable-next-line no-await-in-loop
+      const { results } = await this[list]({ ...options, offset }, requestOptions);
+
+      yield* results.filter((follow) => !slugs || slugs.indexOf(follow[field].split(':')[0]) !== -1);
+
+      if (!results.length || (options.limit && results.length < options.limit)) return;
+      offset += results.length;
+    }
+  }
+
+  /**
+   * Walks through every follower of this feed
+   * @method iterateFollowers
+   * @memberof StreamFeed.prototype
+   * @param  {IterateFollowOptions}   [options]  limit is the page size, filter and slug restrict the followers
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of each call
+   * @return {AsyncGenerator<FollowResult>}
+   * @example for await (const follow of feed.iterateFollowers({ slug: 'timeline' })) console.log(follow.feed_id)
+   */
+  iterateFollowers(options: IterateFollowOptions = {}, requestOptions?: RequestOptions) {
+    return this.iterateFollows('followers', options, requestOptions);
+  }
+
+  /**
+   * Walks through every feed this feed is following
+   * @method iterateFollowing
+   * @memberof StreamFeed.prototype
+   * @param  {IterateFollowOptions}   [options]  limit is the page size, filter and slug restrict the followed feeds
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of each call
+   * @return {AsyncGenerator<FollowResult>}
+   * @example for await (const follow of feed.iterateFollowing({ slug: ['user', 'topic'] })) console.log(follow.target_id)
+   */
+  iterateFollowing(options: IterateFollowOptions = {}, requestOptions?: RequestOptions) {
+    return this.iterateFollows('following', options, requestOptions);
+  }
+
+  /**
+   * Collect the followers of this feed into an array
+   * @method allFollowers
+   * @memberof StreamFeed.prototype
+   * @param  {IterateFollowOptions & { maxItems?: number }}   [options]  maxItems stops the walk once reached
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of each call
+   * @return {Promise<FollowResult[]>}
+   * @example feed.allFollowers({ maxItems: 1000 })
+   */
+  async allFollowers(
+    { maxItems, ...options }: IterateFollowOptions & { maxItems?: number } = {},
+    requestOptions?: RequestOptions,
+  ) {
+    const followers: FollowResult[] = [];
+    if (maxItems === 0) return followers;
+
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const follow of this.iterateFollowers(options, requestOptions)) {
+      followers.push(follow);
+      if (maxItems !== undefined && followers.length >= maxItems) break;
+    }
+    return followers;
+  }
+
   /**
    *  Retrieve the number of follower and following feed stats of the current feed.
    *  For each count, feed slugs can be provided to filter counts accordingly.
@@ -433,11 +586,12 @@ export class StreamFeed<
    * @param  {object}   [options]
    * @param  {string[]} [options.followerSlugs] find counts only on these slugs
    * @param  {string[]} [options.followingSlugs] find counts only on these slugs
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<FollowStatsAPIResponse>}
    * @example feed.followStats();
    * @example feed.followStats({ followerSlugs:['user', 'news'], followingSlugs:['timeline'] });
    */
-  followStats(options: { followerSlugs?: string[]; followingSlugs?: string[] } = {}) {
+  followStats(options: { followerSlugs?: string[]; followingSlugs?: string[] } = {}, requestOptions?: RequestOptions) {
     const qs: { followers: string; following: string; followers_slugs?: string; following_slugs?: string } = {
       followers: this.id,
       following: this.id,
@@ -447,6 +601,7 @@ export class StreamFeed<
     if (options.followingSlugs && options.followingSlugs.length) qs.following_slugs = options.followingSlugs.join(',');
 
     return this.client.get<FollowStatsAPIResponse>({
+      ...requestOptions,
       url: 'stats/follow/',
       qs,
       token: this.token,
@@ -458,11 +613,12 @@ export class StreamFeed<
    * @method get
    * @memberof StreamFeed.prototype
    * @param {GetFeedOptions & NotificationFeedOptions}   options  Additional options
+   * @param {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<FeedAPIResponse>}
    * @example feed.get({limit: 10, id_lte: 'activity-id'})
    * @example feed.get({limit: 10, mark_seen: true})
    */
-  get(options: GetFeedOptions & NotificationFeedOptions = {}) {
+  get(options: GetFeedOptions & NotificationFeedOptions = {}, requestOptions?: RequestOptions) {
     const extraOptions: { mark_read?: boolean | string; mark_seen?: boolean | string } = {};
 
     if (options.mark_read && (options.mark_read as string[]).join) {
@@ -476,12 +632,63 @@ export class StreamFeed<
     this.client.replaceReactionOptions(options);
 
     const path = this.client.shouldUseEnrichEndpoint(options) ? 'enrich/feed/' : 'feed/';
+    const qs = { ...options, ...extraOptions };
+    const load = () =>
+      this.client.get<FeedAPIResponse<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>>({
+        ...requestOptions,
+        url: `${path}${this.feedUrl}/`,
+        qs,
+        token: this.token,
+      });
 
-    return this.client.get<FeedAPIResponse<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>>({
-      url: `${path}${this.feedUrl}/`,
-      qs: { ...options, ...extraOptions },
-      token: this.token,
-    });
+    // marking activities read or seen changes the feed so these reads are never served from the cache
+    if (options.mark_read || options.mark_seen) return this.client.invalidateAfter(load(), 'feeds', [this.id]);
+    return this.client.cached('feeds', this.id, { path, qs, token: this.token }, load);
+  }
+
+  /**
+   * Walks through the feed one response at a time, pages are chained with id_lt
+   * or with offset for ranked feeds, limit is the page size
+   * @method pages
+   * @memberof StreamFeed.prototype
+   * @param {GetFeedOptions & NotificationFeedOptions} [options] - options of the first page
+   * @param {RequestOptions} [requestOptions] abort signal and timeout of each call
+   * @return {AsyncGenerator<FeedAPIResponse>}
+   * @example for await (const page of feed.pages({ limit: 50 })) console.log(page.results.length)
+   */
+  async *pages(options: GetFeedOptions & NotificationFeedOptions = {}, requestOptions?: RequestOptions) {
+    const byOffset = options.ranking !== undefined || options.offset !== undefined;
+    let pageOptions = { ...options };
+
+    while (true) {
+      // pages are chained, each request needs the previous response
+      // eslint-disable-next-line no-await-in-loop
+      const response = await this.get({ ...pageOptions }, requestOptions);
+      yield response;
+
+      const { results } = response;
+      if (!results.length || !response.next) return;
+
+      pageOptions = byOffset
+        ? { ...pageOptions, offset: (pageOptions.offset || 0) + results.length }
+        : { ...pageOptions, id_lt: results[results.length - 1].id };
+    }
+  }
+
+  /**
+   * Walks through every activity of the feed, or every group for aggregated and notification feeds
+   * @method iterate
+   * @memberof StreamFeed.prototype
+   * @param {GetFeedOptions & NotificationFeedOptions} [options] - options of the first page, limit is the page size
+   * @param {RequestOptions} [requestOptions] abort signal and timeout of each call
+   * @return {AsyncGenerator<FeedResult>}
+   * @example for await (const activity of feed.iterate({ limit: 100 })) console.log(activity.id)
+   */
+  async *iterate(options: GetFeedOptions & NotificationFeedOptions = {}, requestOptions?: RequestOptions) {
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const page of this.pages(options, requestOptions)) {
+      yield* page.results as FeedResult<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>[];
+    }
   }
 
   /**
@@ -490,19 +697,23 @@ export class StreamFeed<
    * @memberof StreamFeed.prototype
    * @param  {string}   activityId Identifier of activity to retrieve
    * @param  {EnrichOptions}   options  Additional options
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<FeedAPIResponse>}
    * @example feed.getActivityDetail(activityId)
    * @example feed.getActivityDetail(activityId, {withRecentReactions: true})
    * @example feed.getActivityDetail(activityId, {withReactionCounts: true})
    * @example feed.getActivityDetail(activityId, {withOwnReactions: true, withReactionCounts: true})
    */
-  getActivityDetail(activityId: string, options: EnrichOptions) {
-    return this.get({
-      id_lte: activityId,
-      id_gte: activityId,
-      limit: 1,
-      ...(options || {}),
-    });
+  getActivityDetail(activityId: string, options: EnrichOptions, requestOptions?: RequestOptions) {
+    return this.get(
+      {
+        id_lte: activityId,
+        id_gte: activityId,
+        limit: 1,
+        ...(options || {}),
+      },
+      requestOptions,
+    );
   }
 
   /**
@@ -518,41 +729,114 @@ export class StreamFeed<
 
   /**
    * Subscribes to any changes in the feed, return a promise
+   * the callback receives every message, handlers receive the decoded new activities and deleted ids separately
+   * onError is called when the subscription fails or a message cannot be decoded
+   * every call adds a listener to the feed channel, cancel the returned handle to remove it
+   * with the recover option, the activities added while the connection was lost are fetched and delivered
+   * to the callback when the connection is back
    * @method subscribe
    * @memberof StreamFeed.prototype
-   * @param  {function} callback Callback to call on completion
-   * @return {Promise<Faye.Subscription>}
+   * @param  {function|RealtimeHandlers} callback Callback to call with each message, or {onNew, onDeleted, onError} handlers
+   * @param  {SubscribeOptions} [options]
+   * @param  {boolean|EnrichOptions} [options.recover] - replay missed activities after a reconnect, enrich options apply to the refetch
+   * @param  {string} [options.lastActivityId] - newest activity already shown, recovery starts from the newest activity of the feed otherwise
+   * @return {FeedSubscription}
    * @example
    * feed.subscribe(callback).then(function(){
    * 		console.log('we are now listening to changes');
    * });
+   * @example
+   * feed.subscribe({ onNew: (activities) => render(activities), onDeleted: (ids) => remove(ids), onError: console.error });
+   * @example
+   * feed.subscribe({ onNew: (activities) => render(activities) }, { recover: { enrich: true }, lastActivityId: shown[0].id });
    */
-  subscribe(callback: Faye.Callback) {
+  subscribe(
+    callback?:
+      | RealtimeCallback<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>
+      | RealtimeHandlers<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>,
+    { recover, lastActivityId }: SubscribeOptions = {},
+  ): FeedSubscription {
     if (!this.client.appId) {
       throw new SiteError(
         'Missing app id, which is needed to subscribe, use var client = stream.connect(key, secret, appId);',
       );
     }
 
-    const subscription = this.getFayeClient().subscribe(`/${this.notificationChannel}`, callback);
-    this.client.subscriptions[`/${this.notificationChannel}`] = {
+    const handlers =
+      callback && typeof callback === 'object'
+        ? (callback as RealtimeHandlers<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>)
+        : undefined;
+    const channel = `/${this.notificationChannel}`;
+    let listener = handlers ? realtimeCallback(handlers) : (callback as Faye.Callback);
+    let stopRecovery: (() => void) | undefined;
+    if (recover && listener) {
+      const recoverable = recoverableCallback(this, listener, {
+        lastActivityId,
+        enrichOptions: recover === true ? {} : recover,
+        onError: handlers && handlers.onError,
+      });
+      listener = recoverable;
+      stopRecovery = recoverable.stop;
+    }
+
+    const subscription = this.getFayeClient().subscribe(channel, listener);
+    if (stopRecovery && subscription) {
+      // the handle, feed.unsubscribe() and client.disconnectRealtime() all cancel the Faye subscription
+      const { cancel } = subscription;
+      const stop = stopRecovery;
+      subscription.cancel = () => {
+        stop();
+        cancel.call(subscription);
+      };
+    }
+    if (handlers && handlers.onError && subscription) subscription.then(undefined, handlers.onError);
+
+    const streamSubscription = this.client.subscriptions[channel];
+    this.client.subscriptions[channel] = {
       token: this.token,
       userId: this.notificationChannel,
-      fayeSubscription: subscription,
+      fayeSubscriptions: [...(streamSubscription ? streamSubscription.fayeSubscriptions : []), subscription],
     };
 
-    return subscription;
+    const cancel = () => {
+      const current = this.client.subscriptions[channel];
+      if (current) {
+        current.fayeSubscriptions = current.fayeSubscriptions.filter((s) => s !== subscription);
+        if (!current.fayeSubscriptions.length) delete this.client.subscriptions[channel];
+      }
+      if (subscription) subscription.cancel();
+    };
+    // keeps the api of the Faye subscription returned before
+    const handle: FeedSubscription = {
+      then: (onFulfilled, onRejected) => subscription.then(onFulfilled, onRejected),
+      callback: (onSubscribed, context) => {
+        subscription.callback(onSubscribed, context);
+        return handle;
+      },
+      errback: (onFailed, context) => {
+        subscription.errback(onFailed, context);
+        return handle;
+      },
+      withChannel: (onMessage, context) => {
+        subscription.withChannel(onMessage, context);
+        return handle;
+      },
+      cancel,
+      unsubscribe: cancel,
+    };
+    return handle;
   }
 
   /**
-   * Cancel updates created via feed.subscribe()
+   * Cancel every listener of this feed created via feed.subscribe(), use the cancel method of the handle
+   * returned by feed.subscribe() to remove a single listener
    * @return void
    */
   unsubscribe() {
     const streamSubscription = this.client.subscriptions[`/${this.notificationChannel}`];
     if (streamSubscription) {
       delete this.client.subscriptions[`/${this.notificationChannel}`];
-      (streamSubscription.fayeSubscription as Faye.Subscription).cancel();
+      streamSubscription.fayeSubscriptions.forEach((subscription) => subscription.cancel());
     }
   }
 
@@ -564,6 +848,7 @@ export class StreamFeed<
    * @param {string[]} newTargets Set the new "to" targets for the activity - will remove old targets
    * @param {string[]} added_targets Add these new targets to the activity
    * @param {string[]} removedTargets Remove these targets from the activity
+   * @param {RequestOptions} [requestOptions] abort signal and timeout of this call
    */
   updateActivityToTargets(
     foreignId: string,
@@ -571,6 +856,7 @@ export class StreamFeed<
     newTargets?: string[],
     addedTargets?: string[],
     removedTargets?: string[],
+    requestOptions?: RequestOptions,
   ) {
     if (!foreignId) throw new Error('Missing `foreign_id` parameter!');
     if (!time) throw new Error('Missing `time` parameter!');
@@ -607,10 +893,15 @@ export class StreamFeed<
     if (addedTargets) body.added_targets = addedTargets;
     if (removedTargets) body.removed_targets = removedTargets;
 
-    return this.client.post<APIResponse & Activity<ActivityType> & { added?: string[]; removed?: string[] }>({
-      url: `feed_targets/${this.feedUrl}/activity_to_targets/`,
-      token: this.token,
-      body,
-    });
+    return this.client.invalidateAfter(
+      this.client.post<APIResponse & Activity<ActivityType> & { added?: string[]; removed?: string[] }>({
+        ...requestOptions,
+        url: `feed_targets/${this.feedUrl}/activity_to_targets/`,
+        token: this.token,
+        body,
+      }),
+      'feeds',
+      [this.id, ...(newTargets || []), ...(addedTargets || []), ...(removedTargets || [])],
+    );
   }
 }
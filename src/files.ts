@@ -1,4 +1,4 @@
-import { StreamClient, OnUploadProgress } from './client';
+import { StreamClient, OnUploadProgress, RequestOptions } from './client';
 
 export class StreamFileStore {
   client: StreamClient;
@@ -17,6 +17,7 @@ export class StreamFileStore {
    * @param {string} [name] - file name
    * @param {string} [contentType] - mime-type
    * @param {function} [onUploadProgress] - browser only, Function that is called with upload progress
+   * @param {RequestOptions} [requestOptions] - abort signal and timeout of this call
    * @return {Promise<FileUploadAPIResponse>}
    */
   upload(
@@ -24,12 +25,14 @@ export class StreamFileStore {
     name?: string,
     contentType?: string,
     onUploadProgress?: OnUploadProgress,
+    requestOptions?: RequestOptions,
   ) {
-    return this.client.upload('files/', uri, name, contentType, onUploadProgress);
+    return this.client.upload('files/', uri, name, contentType, onUploadProgress, requestOptions);
   }
 
-  delete(uri: string) {
+  delete(uri: string, requestOptions?: RequestOptions) {
     return this.client.delete({
+      ...requestOptions,
       url: `files/`,
       qs: { url: uri },
       token: this.token,
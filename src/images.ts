@@ -1,4 +1,4 @@
-import { StreamClient, FileUploadAPIResponse, OnUploadProgress } from './client';
+import { StreamClient, FileUploadAPIResponse, OnUploadProgress, RequestOptions } from './client';
 
 export type ImageProcessOptions = {
   crop?: string | 'top' | 'bottom' | 'left' | 'right' | 'center';
@@ -25,6 +25,7 @@ export class StreamImageStore {
    * @param {string} [name] - file name
    * @param {string} [contentType] - mime-type
    * @param {function} [onUploadProgress] - browser only, Function that is called with upload progress
+   * @param {RequestOptions} [requestOptions] - abort signal and timeout of this call
    * @return {Promise<FileUploadAPIResponse>}
    */
   upload(
@@ -32,25 +33,28 @@ export class StreamImageStore {
     name?: string,
     contentType?: string,
     onUploadProgress?: OnUploadProgress,
+    requestOptions?: RequestOptions,
   ) {
-    return this.client.upload('images/', uri, name, contentType, onUploadProgress);
+    return this.client.upload('images/', uri, name, contentType, onUploadProgress, requestOptions);
   }
 
-  delete(uri: string) {
+  delete(uri: string, requestOptions?: RequestOptions) {
     return this.client.delete({
+      ...requestOptions,
       url: `images/`,
       qs: { url: uri },
       token: this.token,
     });
   }
 
-  process(uri: string, options: ImageProcessOptions) {
+  process(uri: string, options: ImageProcessOptions, requestOptions?: RequestOptions) {
     const params = Object.assign(options, { url: uri });
     if (Array.isArray(params.crop)) {
       params.crop = params.crop.join(',');
     }
 
     return this.client.get<FileUploadAPIResponse>({
+      ...requestOptions,
       url: `images/`,
       qs: params,
       token: this.token,
@@ -62,7 +66,8 @@ export class StreamImageStore {
     w: number | string,
     h: number | string,
     { crop, resize } = { crop: 'center', resize: 'clip' },
+    requestOptions?: RequestOptions,
   ) {
-    return this.process(uri, { w, h, crop, resize });
+    return this.process(uri, { w, h, crop, resize }, requestOptions);
   }
 }
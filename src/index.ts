@@ -20,3 +20,8 @@ export * from './user';
 export * from './batch_operations';
 export * from './errors';
 export * from './signing';
+export * from './retry';
+export * from './rate_limit';
+export * from './transport';
+export * from './cache';
+export * from './realtime';
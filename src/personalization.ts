@@ -1,4 +1,4 @@
-import { StreamClient, APIResponse, UnknownRecord } from './client';
+import { StreamClient, APIResponse, UnknownRecord, RequestOptions } from './client';
 
 /**
  * Manage api calls for personalization
@@ -36,11 +36,13 @@ export class Personalization<PersonalizationType extends UnknownRecord = Unknown
    * @memberof Personalization.prototype
    * @param {string} resource - personalized resource endpoint i.e "follow_recommendations"
    * @param {object} options  Additional options
+   * @param {RequestOptions} [requestOptions] - abort signal and timeout of this call
    * @return {Promise<PersonalizationAPIResponse<PersonalizationType>>} Promise object. Personalized feed
    * @example client.personalization.get('follow_recommendations', {foo: 'bar', baz: 'qux'})
    */
-  get(resource: string, options: Record<string, string> & { token?: string } = {}) {
+  get(resource: string, options: Record<string, string> & { token?: string } = {}, requestOptions?: RequestOptions) {
     return this.client.get<PersonalizationAPIResponse<PersonalizationType>>({
+      ...requestOptions,
       url: `${resource}/`,
       serviceName: 'personalization',
       qs: options,
@@ -56,11 +58,18 @@ export class Personalization<PersonalizationType extends UnknownRecord = Unknown
    * @param {string} resource - personalized resource endpoint i.e "follow_recommendations"
    * @param {object} options - Additional options
    * @param {object} data - Data to send in the payload
+   * @param {RequestOptions} [requestOptions] - abort signal and timeout of this call
    * @return {Promise<PersonalizationAPIResponse<PersonalizationType>>} Promise object. Data that was posted if successful, or an error.
    * @example client.personalization.post('follow_recommendations', {foo: 'bar', baz: 'qux'})
    */
-  post(resource: string, options: Record<string, string> = {}, data: UnknownRecord = {}) {
+  post(
+    resource: string,
+    options: Record<string, string> = {},
+    data: UnknownRecord = {},
+    requestOptions?: RequestOptions,
+  ) {
     return this.client.post<PersonalizationAPIResponse<PersonalizationType>>({
+      ...requestOptions,
       url: `${resource}/`,
       serviceName: 'personalization',
       qs: options,
@@ -76,11 +85,13 @@ export class Personalization<PersonalizationType extends UnknownRecord = Unknown
    * @memberof Personalization.prototype
    * @param {object} resource - personalized resource endpoint i.e "follow_recommendations"
    * @param {object} options - Additional options
+   * @param {RequestOptions} [requestOptions] - abort signal and timeout of this call
    * @return {Promise<PersonalizationAPIResponse<PersonalizationType>>} Promise object. Data that was deleted if successful, or an error.
    * @example client.personalization.delete('follow_recommendations', {foo: 'bar', baz: 'qux'})
    */
-  delete(resource: string, options: Record<string, string> = {}) {
+  delete(resource: string, options: Record<string, string> = {}, requestOptions?: RequestOptions) {
     return this.client.delete<PersonalizationAPIResponse<PersonalizationType>>({
+      ...requestOptions,
       url: `${resource}/`,
       serviceName: 'personalization',
       qs: options,
@@ -0,0 +1,102 @@
+export type RateLimit = {
+  limit: number;
+  remaining: number;
+  reset: Date;
+};
+
+// the quotas of this many endpoints are kept at most, the least recently updated are dropped first
+const maxEndpoints = 100;
+
+// urls of the endpoints with ids, the ids are replaced by their name so the resources share the quota of their endpoint
+const routes: Array<[RegExp, string]> = [
+  [/^(enrich\/)?feed\/[^/]+\/[^/]+\/(following|followers)\/$/, '$1feed/:feed_slug/:user_id/$2/'],
+  [/^feed\/[^/]+\/[^/]+\/following\/[^/]+\/$/, 'feed/:feed_slug/:user_id/following/:target_feed_id/'],
+  [/^(enrich\/)?feed\/[^/]+\/[^/]+\/$/, '$1feed/:feed_slug/:user_id/'],
+  [/^feed\/[^/]+\/[^/]+\/.+\/$/, 'feed/:feed_slug/:user_id/:activity_id/'],
+  [/^feed_targets\/[^/]+\/[^/]+\//, 'feed_targets/:feed_slug/:user_id/'],
+  [/^user\/[^/]+\/$/, 'user/:user_id/'],
+  [/^collections\/[^/]+\/$/, 'collections/:collection_name/'],
+  [/^collections\/[^/]+\/[^/]+\/$/, 'collections/:collection_name/:id/'],
+  [/^reaction\/(activity_id|reaction_id|user_id)\/[^/]+\/$/, 'reaction/$1/:lookup_value/'],
+  [/^reaction\/(activity_id|reaction_id|user_id)\/[^/]+\/[^/]+\/$/, 'reaction/$1/:lookup_value/:kind/'],
+  [/^reaction\/[^/]+\/$/, 'reaction/:reaction_id/'],
+];
+
+/**
+ * Key of the quota of a request, the method and the url of the endpoint without the ids of the resource
+ * @method endpointKey
+ * @memberof rateLimit
+ * @private
+ * @param {string} method
+ * @param {string} url - url relative to the API, i.e "feed/user/1/"
+ * @return {string} i.e "GET feed/:feed_slug/:user_id/"
+ */
+function endpointKey(method: string, url: string) {
+  const [path] = (url || '').split('?');
+  for (let i = 0; i < routes.length; i++) {
+    const [route, template] = routes[i];
+    if (route.test(path)) return `${method} ${path.replace(route, template)}`;
+  }
+  return `${method} ${path}`;
+}
+
+/**
+ * Save the quota of an endpoint, the oldest endpoints are dropped past maxEndpoints
+ * @method trackRateLimit
+ * @memberof rateLimit
+ * @private
+ * @param {Record<string, RateLimit>} rateLimits - quotas by endpoint key, updated in place
+ * @param {string} endpoint - endpoint key
+ * @param {RateLimit} rateLimit
+ */
+function trackRateLimit(rateLimits: Record<string, RateLimit>, endpoint: string, rateLimit: RateLimit) {
+  // re-inserted last so the keys stay ordered by update
+  delete rateLimits[endpoint];
+  rateLimits[endpoint] = rateLimit;
+
+  const endpoints = Object.keys(rateLimits);
+  for (let i = 0; i < endpoints.length - maxEndpoints; i++) delete rateLimits[endpoints[i]];
+}
+
+/**
+ * Read the quota Stream reports in the x-ratelimit-* response headers
+ * @method parseRateLimit
+ * @memberof rateLimit
+ * @private
+ * @param {object} [headers] - response headers
+ * @return {RateLimit|null} the quota or null if the headers are missing
+ */
+function parseRateLimit(headers?: Record<string, string>): RateLimit | null {
+  const limit = headers?.['x-ratelimit-limit'];
+  const remaining = headers?.['x-ratelimit-remaining'];
+  const reset = headers?.['x-ratelimit-reset'];
+  if (limit == null || remaining == null || reset == null) return null;
+
+  return {
+    limit: Number(limit),
+    remaining: Number(remaining),
+    // unix timestamp in seconds
+    reset: new Date(Number(reset) * 1000),
+  };
+}
+
+/**
+ * Milliseconds to wait before the quota allows another request, 0 if one can be sent right away
+ * @method throttleDelay
+ * @memberof rateLimit
+ * @private
+ * @param {RateLimit} [rateLimit]
+ * @return {number}
+ */
+function throttleDelay(rateLimit?: RateLimit) {
+  if (!rateLimit || rateLimit.remaining > 0) return 0;
+
+  return Math.max(0, rateLimit.reset.getTime() - Date.now());
+}
+
+export default {
+  endpointKey,
+  parseRateLimit,
+  throttleDelay,
+  trackRateLimit,
+};
@@ -1,6 +1,9 @@
-import { StreamClient, APIResponse, UnknownRecord } from './client';
+/// <reference lib="es2018.asyncgenerator" />
+
+import { StreamClient, APIResponse, UnknownRecord, RequestOptions } from './client';
 import { StreamFeed } from './feed';
 import { SiteError } from './errors';
+import utils from './utils';
 
 export type TargetFeeds = (string | StreamFeed)[];
 
@@ -65,6 +68,19 @@ export type ReactionFilterAPIResponse<
   activity?: ActivityType;
 };
 
+export type ReactionFilterConditions = {
+  activity_id?: string;
+  id_gt?: string;
+  id_gte?: string;
+  id_lt?: string;
+  id_lte?: string;
+  kind?: string;
+  limit?: number;
+  reaction_id?: string;
+  user_id?: string;
+  with_activity_data?: boolean;
+};
+
 export class StreamReaction<
   UserType extends UnknownRecord = UnknownRecord,
   ActivityType extends UnknownRecord = UnknownRecord,
@@ -108,6 +124,7 @@ export class StreamReaction<
    * @param  {string[]} [options.targetFeeds] an array of feeds to which to send an activity with the reaction
    * @param  {string} [options.userId] useful for adding reaction with server token
    * @param  {object} [options.targetFeedsExtraData] extra data related to target feeds
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<ReactionAPIResponse<ReactionType>>}
    * @example reactions.add("like", "0c7db91c-67f9-11e8-bcd9-fe00a9219401")
    * @example reactions.add("comment", "0c7db91c-67f9-11e8-bcd9-fe00a9219401", {"text": "love it!"},)
@@ -122,6 +139,7 @@ export class StreamReaction<
       userId,
       targetFeedsExtraData,
     }: { id?: string; targetFeeds?: TargetFeeds; targetFeedsExtraData?: TargetFeedsExtraData; userId?: string } = {},
+    requestOptions?: RequestOptions,
   ) {
     const body: ReactionBody<ReactionType> = {
       id,
@@ -135,6 +153,7 @@ export class StreamReaction<
       body.target_feeds_extra_data = targetFeedsExtraData;
     }
     return this.client.post<ReactionAPIResponse<ReactionType>>({
+      ...requestOptions,
       url: this.buildURL(),
       body,
       token: this.token,
@@ -152,6 +171,7 @@ export class StreamReaction<
    * @param  {string[]} [options.targetFeeds] an array of feeds to which to send an activity with the reaction
    * @param  {string} [options.userId] useful for adding reaction with server token
    * @param  {object} [options.targetFeedsExtraData] extra data related to target feeds
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<ReactionAPIResponse<ChildReactionType>>}
    * @example reactions.add("like", "0c7db91c-67f9-11e8-bcd9-fe00a9219401")
    * @example reactions.add("comment", "0c7db91c-67f9-11e8-bcd9-fe00a9219401", {"text": "love it!"},)
@@ -169,6 +189,7 @@ export class StreamReaction<
       targetFeedsExtraData?: TargetFeedsExtraData;
       userId?: string;
     } = {},
+    requestOptions?: RequestOptions,
   ) {
     const body: ReactionBody<ChildReactionType> = {
       parent: reaction instanceof Object ? (reaction as { id: string }).id : reaction,
@@ -181,6 +202,7 @@ export class StreamReaction<
       body.target_feeds_extra_data = targetFeedsExtraData;
     }
     return this.client.post<ReactionAPIResponse<ChildReactionType>>({
+      ...requestOptions,
       url: this.buildURL(),
       body,
       token: this.token,
@@ -192,11 +214,13 @@ export class StreamReaction<
    * @method get
    * @memberof StreamReaction.prototype
    * @param  {string}   id Reaction Id
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<EnrichedReactionAPIResponse<ReactionType, ChildReactionType, UserType>>}
    * @example reactions.get("67b3e3b5-b201-4697-96ac-482eb14f88ec")
    */
-  get(id: string) {
+  get(id: string, requestOptions?: RequestOptions) {
     return this.client.get<EnrichedReactionAPIResponse<ReactionType, ChildReactionType, UserType>>({
+      ...requestOptions,
       url: this.buildURL(id),
       token: this.token,
     });
@@ -212,22 +236,12 @@ export class StreamReaction<
    * @method filter
    * @memberof StreamReaction.prototype
    * @param  {object}   conditions Reaction Id {activity_id|user_id|reaction_id:string, kind:string, limit:integer}
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<ReactionFilterAPIResponse<ReactionType, ChildReactionType, ActivityType, UserType>>}
    * @example reactions.filter({activity_id: "0c7db91c-67f9-11e8-bcd9-fe00a9219401", kind:"like"})
    * @example reactions.filter({user_id: "john", kinds:"like"})
    */
-  filter(conditions: {
-    activity_id?: string;
-    id_gt?: string;
-    id_gte?: string;
-    id_lt?: string;
-    id_lte?: string;
-    kind?: string;
-    limit?: number;
-    reaction_id?: string;
-    user_id?: string;
-    with_activity_data?: boolean;
-  }) {
+  filter(conditions: ReactionFilterConditions, requestOptions?: RequestOptions) {
     const { user_id: userId, activity_id: activityId, reaction_id: reactionId, ...qs } = conditions;
     if (!qs.limit) {
       qs.limit = 10;
@@ -245,12 +259,83 @@ export class StreamReaction<
       : this.buildURL(lookupType as string, value as string);
 
     return this.client.get<ReactionFilterAPIResponse<ReactionType, ChildReactionType, ActivityType, UserType>>({
+      ...requestOptions,
       url,
       qs: qs as { [key: string]: unknown },
       token: this.token,
     });
   }
 
+  /**
+   * retrieve the page following a filter response by its next url, activity, user and child reaction lookups are supported
+   * @method filterNext
+   * @memberof StreamReaction.prototype
+   * @param  {ReactionFilterAPIResponse}   response  the previous page
+   * @param  {ReactionFilterConditions}   [conditions]  conditions of the first page, kind and with_activity_data are kept when the next url misses them
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
+   * @return {Promise<ReactionFilterAPIResponse | null>} the next page or null after the last one
+   * @example reactions.filterNext(await reactions.filter({activity_id: "0c7db91c-67f9-11e8-bcd9-fe00a9219401", kind:"comment"}))
+   */
+  filterNext(
+    response: ReactionFilterAPIResponse<ReactionType, ChildReactionType, ActivityType, UserType>,
+    conditions: ReactionFilterConditions = {},
+    requestOptions?: RequestOptions,
+  ) {
+    if (!response.next) return Promise.resolve(null);
+
+    const [path, query = ''] = response.next.split('?');
+    const start = path.indexOf('/reaction/');
+    if (start === -1) return Promise.reject(new SiteError(`Invalid next url of reactions ${response.next}`));
+
+    // the client adds its own api_key and location
+    const qs: Record<string, unknown> = utils.parseQuery(query);
+    delete qs.api_key;
+    delete qs.location;
+    // the next url does not always repeat the options of the first page
+    (['kind', 'with_activity_data'] as const).forEach((key) => {
+      if (qs[key] === undefined && conditions[key] !== undefined) qs[key] = conditions[key];
+    });
+
+    return this.client.get<ReactionFilterAPIResponse<ReactionType, ChildReactionType, ActivityType, UserType>>({
+      ...requestOptions,
+      url: path.slice(start + 1),
+      qs,
+      token: this.token,
+    });
+  }
+
+  /**
+   * walk through every reaction matching the conditions, following the next url of each page
+   * @method iterate
+   * @memberof StreamReaction.prototype
+   * @param  {ReactionFilterConditions}   conditions  same as filter, limit is the page size (25 at most)
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of each call
+   * @return {AsyncGenerator<ReactionAPIResponse | EnrichedReactionAPIResponse>}
+   * @example for await (const comment of reactions.iterate({activity_id: "0c7db91c-67f9-11e8-bcd9-fe00a9219401", kind:"comment"})) {}
+   */
+  async *iterate(conditions: ReactionFilterConditions, requestOptions?: RequestOptions) {
+    let response: ReactionFilterAPIResponse<
+      ReactionType,
+      ChildReactionType,
+      ActivityType,
+      UserType
+    > | null = await this.filter(conditions, requestOptions);
+
+    while (response) {
+      yield* response.results as ReactionFilterAPIResponse<
+        ReactionType,
+        ChildReactionType,
+        ActivityType,
+        UserType
+      >['results'][number][];
+      if (!response.results.length) return;
+
+      // pages are chained, each request needs the previous response
+      // eslint-disable-next-line no-await-in-loop
+      response = await this.filterNext(response, conditions, requestOptions);
+    }
+  }
+
   /**
    * update reaction
    * @method update
@@ -260,6 +345,7 @@ export class StreamReaction<
    * @param  {object} [options]
    * @param  {string[]} [options.targetFeeds] Optional feeds to post the activity to. If you sent this before and don't set it here it will be removed.
    * @param  {object} [options.targetFeedsExtraData] extra data related to target feeds
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<ReactionAPIResponse<ReactionType | ChildReactionType>>}
    * @example reactions.update("67b3e3b5-b201-4697-96ac-482eb14f88ec", "0c7db91c-67f9-11e8-bcd9-fe00a9219401", "like")
    * @example reactions.update("67b3e3b5-b201-4697-96ac-482eb14f88ec", "0c7db91c-67f9-11e8-bcd9-fe00a9219401", "comment", {"text": "love it!"},)
@@ -271,6 +357,7 @@ export class StreamReaction<
       targetFeeds = [],
       targetFeedsExtraData,
     }: { targetFeeds?: string[] | StreamFeed[]; targetFeedsExtraData?: TargetFeedsExtraData } = {},
+    requestOptions?: RequestOptions,
   ) {
     const body: ReactionBody<ReactionType | ChildReactionType> = {
       data,
@@ -280,6 +367,7 @@ export class StreamReaction<
       body.target_feeds_extra_data = targetFeedsExtraData;
     }
     return this.client.put<ReactionAPIResponse<ReactionType | ChildReactionType>>({
+      ...requestOptions,
       url: this.buildURL(id),
       body,
       token: this.token,
@@ -291,11 +379,13 @@ export class StreamReaction<
    * @method delete
    * @memberof StreamReaction.prototype
    * @param  {string}   id Reaction Id
+   * @param  {RequestOptions} [requestOptions] abort signal and timeout of this call
    * @return {Promise<APIResponse>}
    * @example reactions.delete("67b3e3b5-b201-4697-96ac-482eb14f88ec")
    */
-  delete(id: string) {
+  delete(id: string, requestOptions?: RequestOptions) {
     return this.client.delete({
+      ...requestOptions,
       url: this.buildURL(id),
       token: this.token,
     });
@@ -0,0 +1,248 @@
+/// <reference path="../types/modules.d.ts" />
+
+import * as Faye from 'faye';
+import { UnknownRecord } from './client';
+import { EnrichedActivity, EnrichOptions, StreamFeed } from './feed';
+import { SiteError } from './errors';
+
+/**
+ * State of the realtime connection, each change is emitted as a client event of the same name
+ * connecting until the first handshake succeeds, reconnecting while the transport is down,
+ * disconnected after a failed handshake or client.disconnectRealtime()
+ */
+export type RealtimeState = 'connecting' | 'connected' | 'disconnected' | 'reconnecting';
+
+/**
+ * Listener of a feed channel returned by feed.subscribe(), it resolves once the subscription is acknowledged
+ * cancel, or unsubscribe, removes this listener only, the channel is closed when its last listener is cancelled
+ * callback, errback and withChannel are those of the Faye subscription and return the listener
+ */
+export type FeedSubscription = PromiseLike<void> & {
+  callback: (callback: () => unknown, context?: unknown) => FeedSubscription;
+  cancel: () => void;
+  errback: (callback: (error: Error) => unknown, context?: unknown) => FeedSubscription;
+  unsubscribe: () => void;
+  withChannel: (callback: (channel: string, message: Faye.Message) => unknown, context?: unknown) => FeedSubscription;
+};
+
+/**
+ * Message published on the realtime channel of a feed when activities are added or removed
+ * activities are enriched when the feed is read enriched, otherwise actor and object are plain references
+ */
+export type RealtimeMessage<
+  UserType extends UnknownRecord = UnknownRecord,
+  ActivityType extends UnknownRecord = UnknownRecord,
+  CollectionType extends UnknownRecord = UnknownRecord,
+  ReactionType extends UnknownRecord = UnknownRecord,
+  ChildReactionType extends UnknownRecord = UnknownRecord
+> = {
+  deleted: string[];
+  deleted_foreign_ids: [string, string][];
+  feed: string;
+  new: EnrichedActivity<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>[];
+  app_id?: string;
+  published_at?: string;
+};
+
+export type RealtimeCallback<
+  UserType extends UnknownRecord = UnknownRecord,
+  ActivityType extends UnknownRecord = UnknownRecord,
+  CollectionType extends UnknownRecord = UnknownRecord,
+  ReactionType extends UnknownRecord = UnknownRecord,
+  ChildReactionType extends UnknownRecord = UnknownRecord
+> = (message: RealtimeMessage<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>) => unknown;
+
+export type RealtimeHandlers<
+  UserType extends UnknownRecord = UnknownRecord,
+  ActivityType extends UnknownRecord = UnknownRecord,
+  CollectionType extends UnknownRecord = UnknownRecord,
+  ReactionType extends UnknownRecord = UnknownRecord,
+  ChildReactionType extends UnknownRecord = UnknownRecord
+> = {
+  onDeleted?: (
+    ids: string[],
+    message: RealtimeMessage<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>,
+  ) => unknown;
+  onError?: (error: Error) => unknown;
+  onNew?: (
+    activities: EnrichedActivity<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>[],
+    message: RealtimeMessage<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>,
+  ) => unknown;
+};
+
+export type SubscribeOptions = {
+  lastActivityId?: string;
+  recover?: boolean | EnrichOptions;
+};
+
+function isArray(value: unknown) {
+  return value === undefined || value === null || Array.isArray(value);
+}
+
+/**
+ * Decode a raw Faye message of a feed channel
+ * @method decodeRealtimeMessage
+ * @param {Faye.Message} message - message received on the feed channel
+ * @return {RealtimeMessage}
+ * @throws {SiteError} when the message is not a feed update
+ */
+export function decodeRealtimeMessage<
+  UserType extends UnknownRecord = UnknownRecord,
+  ActivityType extends UnknownRecord = UnknownRecord,
+  CollectionType extends UnknownRecord = UnknownRecord,
+  ReactionType extends UnknownRecord = UnknownRecord,
+  ChildReactionType extends UnknownRecord = UnknownRecord
+>(message: Faye.Message): RealtimeMessage<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType> {
+  const {
+    app_id: appId,
+    deleted,
+    deleted_foreign_ids: deletedForeignIds,
+    feed,
+    new: added,
+    published_at: publishedAt,
+  } = message || {};
+
+  if (typeof feed !== 'string' || !isArray(added) || !isArray(deleted) || !isArray(deletedForeignIds)) {
+    throw new SiteError(`Invalid realtime message ${JSON.stringify(message)}`);
+  }
+
+  return {
+    deleted: (deleted as string[]) || [],
+    deleted_foreign_ids: (deletedForeignIds as [string, string][]) || [],
+    feed,
+    new: (added as EnrichedActivity<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>[]) || [],
+    ...(appId !== undefined && appId !== null ? { app_id: `${appId}` } : {}),
+    ...(publishedAt ? { published_at: publishedAt as string } : {}),
+  };
+}
+
+/**
+ * Build the Faye callback dispatching the decoded messages of a feed channel to handlers
+ * @method realtimeCallback
+ * @param {RealtimeHandlers} handlers
+ * @return {Faye.Callback}
+ */
+export function realtimeCallback<
+  UserType extends UnknownRecord = UnknownRecord,
+  ActivityType extends UnknownRecord = UnknownRecord,
+  CollectionType extends UnknownRecord = UnknownRecord,
+  ReactionType extends UnknownRecord = UnknownRecord,
+  ChildReactionType extends UnknownRecord = UnknownRecord
+>({
+  onNew,
+  onDeleted,
+  onError,
+}: RealtimeHandlers<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>): Faye.Callback {
+  return (raw: Faye.Message) => {
+    let message: RealtimeMessage<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>;
+    try {
+      message = decodeRealtimeMessage(raw);
+    } catch (error) {
+      if (!onError) throw error;
+      onError(error);
+      return;
+    }
+
+    if (onNew && message.new.length) onNew(message.new, message);
+    if (onDeleted && message.deleted.length) onDeleted(message.deleted, message);
+  };
+}
+
+/**
+ * Wrap the callback of a feed subscription to replay the activities missed while the connection was lost
+ * the newest activity delivered is remembered, when the client connects again the activities added after it
+ * are fetched with feed.get({ id_gt }) and delivered oldest first as one message, live messages received
+ * meanwhile are delivered after them. The cached pages of the feed are evicted before each read. Meant for flat feeds
+ * @method recoverableCallback
+ * @param {StreamFeed} feed - subscribed feed
+ * @param {Faye.Callback} callback - callback of the subscription
+ * @param {object} options
+ * @param {string} [options.lastActivityId] - newest activity already shown, the newest activity of the feed is fetched otherwise
+ * @param {EnrichOptions} [options.enrichOptions] - options of the refetch
+ * @param {function} [options.onError] - called when the refetch fails
+ * @return {Faye.Callback} the callback, its stop method ends the recovery and must be called when the subscription is cancelled
+ */
+export function recoverableCallback<
+  UserType extends UnknownRecord = UnknownRecord,
+  ActivityType extends UnknownRecord = UnknownRecord,
+  CollectionType extends UnknownRecord = UnknownRecord,
+  ReactionType extends UnknownRecord = UnknownRecord,
+  ChildReactionType extends UnknownRecord = UnknownRecord
+>(
+  feed: StreamFeed<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>,
+  callback: Faye.Callback,
+  {
+    lastActivityId,
+    enrichOptions,
+    onError,
+  }: { enrichOptions?: EnrichOptions; lastActivityId?: string; onError?: (error: Error) => unknown },
+): Faye.Callback & { stop: () => void } {
+  type Activity = EnrichedActivity<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>;
+  let last: { id: string; time?: string } | undefined = lastActivityId ? { id: lastActivityId } : undefined;
+  // live messages held back while the missed activities are fetched
+  let queue: Faye.Message[] | null = null;
+
+  const remember = (activities: Activity[]) => {
+    activities.forEach(({ id, time }) => {
+      if (!last || !last.time || !time || time >= last.time) last = { id, time };
+    });
+  };
+
+  const deliver = (message: Faye.Message) => {
+    if (Array.isArray(message.new)) remember(message.new as Activity[]);
+    callback(message);
+  };
+
+  const recover = async () => {
+    if (!last || queue) return;
+
+    queue = [];
+    try {
+      // cached pages miss the activities added while the connection was lost
+      await feed.client.invalidate('feeds', feed.id);
+      const missed: Activity[] = [];
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const activity of feed.iterate({ ...enrichOptions, id_gt: last.id, limit: 100 })) {
+        missed.push(activity as Activity);
+      }
+
+      const live: Record<string, boolean> = {};
+      queue.forEach((message) => {
+        if (Array.isArray(message.new))
+          (message.new as Activity[]).forEach(({ id }) => {
+            live[id] = true;
+          });
+      });
+      const activities = missed.filter(({ id }) => !live[id]).sort((a, b) => (a.time < b.time ? -1 : 1));
+
+      if (activities.length) {
+        deliver({ app_id: feed.client.appId, deleted: [], deleted_foreign_ids: [], feed: feed.id, new: activities });
+      }
+    } catch (error) {
+      if (onError) onError(error);
+    } finally {
+      const queued = queue;
+      queue = null;
+      queued.forEach(deliver);
+    }
+  };
+
+  if (!last) {
+    feed.client
+      .invalidate('feeds', feed.id)
+      .then(() => feed.get({ limit: 1 }))
+      .then(
+        ({ results }) => {
+          if (!last && results.length) remember(results as Activity[]);
+        },
+        (error) => onError && onError(error),
+      );
+  }
+  feed.client.on('connected', recover);
+
+  const listener = (message: Faye.Message) => {
+    if (queue) queue.push(message);
+    else deliver(message);
+  };
+  return Object.assign(listener, { stop: () => feed.client.off('connected', recover) });
+}
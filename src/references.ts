@@ -0,0 +1,106 @@
+import { StreamClient, UnknownRecord, RequestOptions } from './client';
+import { NotFoundError } from './errors';
+import utils from './utils';
+
+type References = {
+  collections: Record<string, Record<string, boolean>>;
+  users: Record<string, boolean>;
+};
+
+const collectionReference = /^SO:([^:]+):(.+)$/;
+const userReference = /^SU:(.+)$/;
+// fields of an activity the enrich endpoint leaves as they are
+export const unresolvedFields = ['foreign_id', 'id', 'origin', 'time', 'to', 'verb'];
+// users are read one request each, this many at a time
+const userConcurrency = 10;
+
+function isObject(value: unknown): value is UnknownRecord {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/*
+ * Gather the SO:collection:id and SU:id strings found at any depth of the value
+ */
+function collect(value: unknown, references: References) {
+  if (typeof value === 'string') {
+    const object = collectionReference.exec(value);
+    if (object) {
+      references.collections[object[1]] = references.collections[object[1]] || {};
+      references.collections[object[1]][object[2]] = true;
+    }
+    const user = userReference.exec(value);
+    if (user) references.users[user[1]] = true;
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collect(item, references));
+  } else if (isObject(value)) {
+    Object.keys(value).forEach((key) => collect(value[key], references));
+  }
+}
+
+/*
+ * Copy of the value with the loaded references replaced, the references not loaded stay strings
+ */
+function replace(value: unknown, loaded: Record<string, unknown>): unknown {
+  if (typeof value === 'string') return Object.prototype.hasOwnProperty.call(loaded, value) ? loaded[value] : value;
+  if (Array.isArray(value)) return value.map((item) => replace(item, loaded));
+  if (!isObject(value)) return value;
+
+  const replaced: UnknownRecord = {};
+  Object.keys(value).forEach((key) => {
+    replaced[key] = replace(value[key], loaded);
+  });
+  return replaced;
+}
+
+/*
+ * Fields of the activity whose references are resolved
+ */
+function resolvedFields(activity: UnknownRecord) {
+  return Object.keys(activity).filter((key) => !unresolvedFields.includes(key));
+}
+
+/*
+ * Load the entries and users referenced by the activities and replace the references with them,
+ * see StreamClient.resolveReferences
+ */
+export async function resolveReferences<Activity, Resolved>(
+  client: StreamClient,
+  activities: Activity[],
+  requestOptions?: RequestOptions,
+): Promise<Resolved[]> {
+  const references: References = { collections: {}, users: {} };
+  activities.forEach((activity) => {
+    if (isObject(activity)) resolvedFields(activity).forEach((key) => collect(activity[key], references));
+  });
+
+  const loaded: Record<string, unknown> = {};
+  const collections = Object.keys(references.collections).map(async (collection) => {
+    const ids = Object.keys(references.collections[collection]);
+    const { failures, response } = await client.collections.selectChunked(collection, ids, {}, requestOptions);
+    if (failures.length) throw failures[0].error;
+    response.data.forEach((entry) => {
+      loaded[`SO:${entry.collection}:${entry.id}`] = entry;
+    });
+  });
+  const users = utils
+    .sendInChunks(Object.keys(references.users), 1, userConcurrency, ([id]) =>
+      client.user(id).get(undefined, requestOptions),
+    )
+    .then((settled) =>
+      settled.forEach(({ chunk: [id], error, result }) => {
+        if (error && !(error instanceof NotFoundError)) throw error;
+        if (result) loaded[`SU:${id}`] = result.full;
+      }),
+    );
+  await Promise.all([...collections, users]);
+
+  return activities.map((activity) => {
+    if (!isObject(activity)) return (activity as unknown) as Resolved;
+
+    const resolved: UnknownRecord = { ...activity };
+    resolvedFields(activity).forEach((key) => {
+      resolved[key] = replace(activity[key], loaded);
+    });
+    return (resolved as unknown) as Resolved;
+  });
+}
@@ -0,0 +1,95 @@
+import { AxiosResponse, CancelToken, Method } from 'axios';
+
+import { AbortError } from './errors';
+
+export type RetryOptions = {
+  baseDelay?: number;
+  idempotentOnly?: boolean;
+  jitter?: boolean;
+  maxAttempts?: number;
+  maxDelay?: number;
+  statusCodes?: number[];
+};
+
+const defaultRetryOptions: Required<RetryOptions> = {
+  baseDelay: 250,
+  idempotentOnly: true,
+  jitter: true,
+  maxAttempts: 3,
+  maxDelay: 10 * 1000,
+  statusCodes: [429, 502, 503, 504],
+};
+
+const idempotentMethods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/*
+ * Parse a Retry-After header, either delta-seconds or an HTTP date, into milliseconds
+ */
+function parseRetryAfter(value: unknown) {
+  if (value == null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value as string);
+  if (Number.isNaN(date)) return null;
+
+  return Math.max(0, date - Date.now());
+}
+
+/*
+ * Exponential backoff, with equal jitter when enabled so concurrent clients do not retry in lockstep
+ */
+function backoff(policy: Required<RetryOptions>, attempt: number) {
+  const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  if (!policy.jitter) return delay;
+
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * Decide if a failed attempt should be retried
+ * @method retryDelay
+ * @memberof retry
+ * @private
+ * @param {RetryOptions} [options] - the client retry policy, no retries are made without one
+ * @param {string} method - HTTP method of the request
+ * @param {number} attempt - number of the attempt that failed, starting at 1
+ * @param {AxiosResponse} [response] - the error response, missing for network failures
+ * @return {number|null} milliseconds to wait before the next attempt or null to give up
+ */
+function retryDelay(options: RetryOptions | undefined, method: Method, attempt: number, response?: AxiosResponse) {
+  if (!options) return null;
+
+  const policy = { ...defaultRetryOptions, ...options };
+  if (attempt >= policy.maxAttempts) return null;
+  if (policy.idempotentOnly && !idempotentMethods.includes(method.toUpperCase())) return null;
+  if (response && !policy.statusCodes.includes(response.status)) return null;
+
+  const retryAfter = parseRetryAfter(response?.headers?.['retry-after']);
+  if (retryAfter === null) return backoff(policy, attempt);
+
+  // the server asked us to wait longer than we are willing to
+  return retryAfter > policy.maxDelay ? null : retryAfter;
+}
+
+/*
+ * Wait before the next attempt, cancelling the token ends the wait right away with an AbortError
+ */
+function sleep(ms: number, cancelToken?: CancelToken) {
+  return new Promise<void>((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (cancelToken) {
+      cancelToken.promise.then((cancel) => {
+        clearTimeout(timer);
+        reject(new AbortError(cancel.message || 'Request aborted'));
+      });
+    }
+  });
+}
+
+export default {
+  parseRetryAfter,
+  retryDelay,
+  sleep,
+};
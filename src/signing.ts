@@ -1,5 +1,46 @@
 import jwt, { SignOptions } from 'jsonwebtoken';
 
+import { TokenError } from './errors';
+
+export type TokenOptions = {
+  claims?: Record<string, unknown>;
+  exp?: number;
+  expiresIn?: number | string;
+  nbf?: number;
+};
+
+export type TokenPayload = Record<string, unknown> & {
+  action?: string;
+  exp?: number;
+  feed_id?: string;
+  iat?: number;
+  nbf?: number;
+  resource?: string;
+  user_id?: string;
+};
+
+/*
+ * Add the expiry, not before and extra claims to a payload, the claims never override the payload fields
+ */
+function withTokenOptions<T extends Record<string, unknown>>(
+  payload: T,
+  { claims, exp, expiresIn, nbf }: TokenOptions = {},
+  signOptions: SignOptions = {},
+) {
+  if (exp !== undefined && expiresIn !== undefined) {
+    throw new TypeError('Use either exp or expiresIn to set the token expiry, not both');
+  }
+
+  const fullPayload: TokenPayload = { ...(claims || {}), ...payload };
+  if (exp !== undefined) fullPayload.exp = exp;
+  if (nbf !== undefined) fullPayload.nbf = nbf;
+
+  const options: SignOptions = { ...signOptions };
+  if (expiresIn !== undefined) options.expiresIn = expiresIn;
+
+  return { payload: fullPayload, options };
+}
+
 /**
  * Creates the JWT token for feedId, resource and action using the apiSecret
  * @method JWTScopeToken
@@ -12,20 +53,25 @@ import jwt, { SignOptions } from 'jsonwebtoken';
  * @param {string} [options.feedId] - JWT payload feed identifier
  * @param {string} [options.userId] - JWT payload user identifier
  * @param {boolean} [options.expireTokens] - JWT noTimestamp
+ * @param {number|string} [options.expiresIn] - JWT exp relative to now, seconds or a duration string ie "2h"
+ * @param {number} [options.exp] - JWT exp, unix timestamp in seconds
+ * @param {number} [options.nbf] - JWT nbf, unix timestamp in seconds
+ * @param {object} [options.claims] - extra JWT payload fields
  * @return {string} JWT Token
  */
 export function JWTScopeToken(
   apiSecret: string,
   resource: string,
   action: string,
-  options: { expireTokens?: boolean; feedId?: string; userId?: string } = {},
+  options: TokenOptions & { expireTokens?: boolean; feedId?: string; userId?: string } = {},
 ) {
   const noTimestamp = options.expireTokens ? !options.expireTokens : true;
-  const payload: { action: string; resource: string; feed_id?: string; user_id?: string } = { resource, action };
-  if (options.feedId) payload.feed_id = options.feedId;
-  if (options.userId) payload.user_id = options.userId;
+  const scope: { action: string; resource: string; feed_id?: string; user_id?: string } = { resource, action };
+  if (options.feedId) scope.feed_id = options.feedId;
+  if (options.userId) scope.user_id = options.userId;
 
-  return jwt.sign(payload, apiSecret, { algorithm: 'HS256', noTimestamp });
+  const { payload, options: signOptions } = withTokenOptions(scope, options, { algorithm: 'HS256', noTimestamp });
+  return jwt.sign(payload, apiSecret, signOptions);
 }
 
 /**
@@ -36,21 +82,43 @@ export function JWTScopeToken(
  * @param {string} apiSecret - API Secret key
  * @param {string} userId - The user_id key in the JWT payload
  * @param {object} [extraData] - Extra that should be part of the JWT token
- * @param {object} [jwtOptions] - Options that can be past to jwt.sign
+ * @param {object} [jwtOptions] - Options that can be past to jwt.sign, plus exp, nbf and claims as in JWTScopeToken
  * @return {string} JWT Token
  */
 export function JWTUserSessionToken(
   apiSecret: string,
   userId: string,
   extraData: Record<string, unknown> = {},
-  jwtOptions: SignOptions = {},
+  jwtOptions: SignOptions & TokenOptions = {},
 ) {
   if (typeof userId !== 'string') {
     throw new TypeError('userId should be a string');
   }
 
-  const payload = { user_id: userId, ...extraData };
+  const { claims, exp, expiresIn, nbf, ...signOptions } = jwtOptions;
+  const { payload, options } = withTokenOptions(
+    { user_id: userId, ...extraData },
+    { claims, exp, expiresIn, nbf },
+    { algorithm: 'HS256', noTimestamp: true, ...signOptions },
+  );
+  return jwt.sign(payload, apiSecret, options);
+}
 
-  const opts: SignOptions = { algorithm: 'HS256', noTimestamp: true, ...jwtOptions };
-  return jwt.sign(payload, apiSecret, opts);
+/**
+ * Verifies the signature, expiry and not before of a JWT token and decodes it
+ * @method JWTVerifyToken
+ * @memberof signing
+ * @private
+ * @param {string} apiSecret - API Secret key
+ * @param {string} token - JWT token
+ * @param {object} [options]
+ * @param {number} [options.clockTolerance] - seconds of clock skew allowed when checking exp and nbf
+ * @return {TokenPayload} decoded payload
+ */
+export function JWTVerifyToken(apiSecret: string, token: string, options: { clockTolerance?: number } = {}) {
+  try {
+    return jwt.verify(token, apiSecret, { algorithms: ['HS256'], ...options }) as TokenPayload;
+  } catch (error) {
+    throw new TokenError(error.message, error);
+  }
 }
@@ -0,0 +1,6 @@
+/**
+ * Tools for testing code using the client, kept out of the main entry point: getstream/lib/testing
+ */
+export * from './emulator';
+export * from './fake_client';
+export * from './cassette';
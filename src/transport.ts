@@ -0,0 +1,161 @@
+import { AxiosRequestConfig, AxiosResponse } from 'axios';
+
+/**
+ * Sends one HTTP request, it receives the axios request config built by the client and must behave like axios:
+ * resolve with the response for 2xx status codes, reject with an error carrying the response otherwise,
+ * reject with the cancel token reason when the request is cancelled
+ */
+export type Transport = (config: AxiosRequestConfig) => Promise<AxiosResponse>;
+
+export type FetchTransportOptions = {
+  fetch?: typeof fetch;
+};
+
+function encode(value: string) {
+  return encodeURIComponent(value)
+    .replace(/%3A/gi, ':')
+    .replace(/%24/g, '$')
+    .replace(/%2C/gi, ',')
+    .replace(/%20/g, '+')
+    .replace(/%5B/gi, '[')
+    .replace(/%5D/gi, ']');
+}
+
+/*
+ * Serialize the query string the same way axios does
+ */
+function buildURL(url: string, params?: Record<string, unknown>) {
+  if (!params) return url;
+
+  const parts: string[] = [];
+  Object.keys(params).forEach((key) => {
+    const value = params[key];
+    if (value === null || typeof value === 'undefined') return;
+
+    const values = Array.isArray(value) ? value : [value];
+    const name = Array.isArray(value) ? `${key}[]` : key;
+    values.forEach((v) => {
+      let serialized = v;
+      if (v instanceof Date) serialized = v.toISOString();
+      else if (v !== null && typeof v === 'object') serialized = JSON.stringify(v);
+      parts.push(`${encode(name)}=${encode(`${serialized}`)}`);
+    });
+  });
+
+  if (!parts.length) return url;
+  return `${url}${url.indexOf('?') === -1 ? '?' : '&'}${parts.join('&')}`;
+}
+
+function isPlainBody(data: unknown) {
+  // node streams such as form-data also report [object Object]
+  if (data && typeof (data as { pipe?: unknown }).pipe === 'function') return false;
+  return Array.isArray(data) || Object.prototype.toString.call(data) === '[object Object]';
+}
+
+function bodySize(body: unknown) {
+  if (typeof body === 'string') return body.length;
+  if (typeof Blob !== 'undefined' && body instanceof Blob) return body.size;
+  return 0;
+}
+
+function parseBody(text: string) {
+  if (!text) return text;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+function transportError(message: string, config: AxiosRequestConfig, extra: Record<string, unknown> = {}) {
+  return Object.assign(new Error(message), { config, ...extra });
+}
+
+/**
+ * Create a transport sending requests with the Fetch API, for runtimes where axios does not work
+ * such as Cloudflare Workers, Deno or Vercel Edge
+ * fetch cannot report upload progress, onUploadProgress is called once when the upload is complete
+ * uploads need a File or Blob, node streams are only supported by the default axios transport
+ * @method fetchTransport
+ * @param {FetchTransportOptions} [options]
+ * @param {function} [options.fetch] - fetch implementation, defaults to the global fetch
+ * @return {Transport}
+ * @example connect(apiKey, userToken, appId, { transport: fetchTransport() })
+ */
+export function fetchTransport({ fetch: fetchFn }: FetchTransportOptions = {}): Transport {
+  return (config: AxiosRequestConfig) =>
+    new Promise<AxiosResponse>((resolve, reject) => {
+      const doFetch = fetchFn || fetch;
+      const controller = typeof AbortController !== 'undefined' ? new AbortController() : undefined;
+      let failure: unknown;
+      let timer: ReturnType<typeof setTimeout> | undefined;
+
+      const abort = (reason: unknown) => {
+        if (failure) return;
+        failure = reason;
+        if (controller) controller.abort();
+        reject(reason);
+      };
+
+      if (config.timeout) {
+        timer = setTimeout(
+          () => abort(transportError(`timeout of ${config.timeout}ms exceeded`, config, { code: 'ECONNABORTED' })),
+          config.timeout,
+        );
+      }
+      if (config.cancelToken) config.cancelToken.promise.then(abort);
+
+      const headers: Record<string, string> = {};
+      Object.keys(config.headers || {}).forEach((key) => {
+        if (config.headers[key] != null) headers[key] = `${config.headers[key]}`;
+      });
+
+      let body = config.data;
+      if (isPlainBody(body)) {
+        body = JSON.stringify(body);
+        if (!Object.keys(headers).some((key) => key.toLowerCase() === 'content-type')) {
+          headers['Content-Type'] = 'application/json;charset=utf-8';
+        }
+      }
+
+      doFetch(buildURL(config.url as string, config.params), {
+        method: (config.method || 'GET').toUpperCase(),
+        headers,
+        body,
+        credentials: config.withCredentials ? 'include' : 'omit',
+        signal: controller?.signal,
+      })
+        .then(async (res) => {
+          if (config.onUploadProgress && body) {
+            const total = bodySize(body);
+            config.onUploadProgress({ lengthComputable: total > 0, loaded: total, total } as ProgressEvent);
+          }
+
+          const responseHeaders: Record<string, string> = {};
+          res.headers.forEach((value, key) => {
+            responseHeaders[key.toLowerCase()] = value;
+          });
+
+          const response: AxiosResponse = {
+            data: parseBody(await res.text()),
+            status: res.status,
+            statusText: res.statusText,
+            headers: responseHeaders,
+            config,
+          };
+
+          if (res.status >= 200 && res.status < 300) return response;
+          throw transportError(`Request failed with status code ${res.status}`, config, { response });
+        })
+        .then(
+          (response) => {
+            if (timer) clearTimeout(timer);
+            if (!failure) resolve(response);
+          },
+          (error) => {
+            if (timer) clearTimeout(timer);
+            if (!failure) reject(error);
+          },
+        );
+    });
+}
@@ -1,4 +1,4 @@
-import { StreamClient, APIResponse, UnknownRecord } from './client';
+import { StreamClient, APIResponse, UnknownRecord, RequestOptions } from './client';
 
 export type UserAPIResponse<UserType extends UnknownRecord = UnknownRecord> = APIResponse & {
   created_at: string;
@@ -40,19 +40,26 @@ export class StreamUser<UserType extends UnknownRecord = UnknownRecord> {
     return `SU:${this.id}`;
   }
 
-  delete() {
-    return this.client.delete({
+  async delete(requestOptions?: RequestOptions) {
+    const response = await this.client.delete({
+      ...requestOptions,
       url: this.url,
       token: this.token,
     });
+
+    await this.client.invalidate('users', this.id);
+    return response;
   }
 
-  async get(options?: { with_follow_counts?: boolean }) {
-    const response = await this.client.get<UserAPIResponse<UserType>>({
-      url: this.url,
-      token: this.token,
-      qs: options,
-    });
+  async get(options?: { with_follow_counts?: boolean }, requestOptions?: RequestOptions) {
+    const response = await this.client.cached('users', this.id, { options, token: this.token }, () =>
+      this.client.get<UserAPIResponse<UserType>>({
+        ...requestOptions,
+        url: this.url,
+        token: this.token,
+        qs: options,
+      }),
+    );
 
     this.full = { ...response };
     delete this.full.duration;
@@ -60,8 +67,9 @@ export class StreamUser<UserType extends UnknownRecord = UnknownRecord> {
     return this;
   }
 
-  async create(data?: UserType, options?: { get_or_create?: boolean }) {
+  async create(data?: UserType, options?: { get_or_create?: boolean }, requestOptions?: RequestOptions) {
     const response = await this.client.post<UserAPIResponse<UserType>>({
+      ...requestOptions,
       url: 'user/',
       body: {
         id: this.id,
@@ -70,6 +78,7 @@ export class StreamUser<UserType extends UnknownRecord = UnknownRecord> {
       qs: options,
       token: this.token,
     });
+    await this.client.invalidate('users', this.id);
 
     this.full = { ...response };
     delete this.full.duration;
@@ -77,14 +86,16 @@ export class StreamUser<UserType extends UnknownRecord = UnknownRecord> {
     return this;
   }
 
-  async update(data?: Partial<UserType>) {
+  async update(data?: Partial<UserType>, requestOptions?: RequestOptions) {
     const response = await this.client.put<UserAPIResponse<UserType>>({
+      ...requestOptions,
       url: this.url,
       body: {
         data: data || this.data || {},
       },
       token: this.token,
     });
+    await this.client.invalidate('users', this.id);
 
     this.full = { ...response };
     delete this.full.duration;
@@ -92,11 +103,11 @@ export class StreamUser<UserType extends UnknownRecord = UnknownRecord> {
     return this;
   }
 
-  getOrCreate(data: UserType) {
-    return this.create(data, { get_or_create: true });
+  getOrCreate(data: UserType, requestOptions?: RequestOptions) {
+    return this.create(data, { get_or_create: true }, requestOptions);
   }
 
-  profile() {
-    return this.get({ with_follow_counts: true });
+  profile(requestOptions?: RequestOptions) {
+    return this.get({ with_follow_counts: true }, requestOptions);
   }
 }
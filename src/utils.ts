@@ -1,3 +1,4 @@
+import axios, { AxiosRequestConfig, CancelToken } from 'axios';
 import FormData from 'form-data';
 
 import { FeedError } from './errors';
@@ -86,6 +87,47 @@ function addFileToFormData(uri: string | File | Buffer | NodeJS.ReadStream, name
   return data;
 }
 
+export type SignalCancelToken = CancelToken & { release: () => void };
+
+/*
+ * Bridge an AbortSignal to an axios cancel token, release() removes the abort listener once the request settled
+ * so a long lived signal does not keep one listener per request
+ */
+function cancelTokenFromSignal(signal: AbortSignal): SignalCancelToken {
+  const source = axios.CancelToken.source();
+  const abort = () => source.cancel('Request aborted');
+  if (signal.aborted) abort();
+  else signal.addEventListener('abort', abort, { once: true });
+
+  return Object.assign(source.token, { release: () => signal.removeEventListener('abort', abort) });
+}
+
+/*
+ * Identify a request by url, query string and token, the order of the query params does not matter
+ */
+function requestKey({ url, params = {}, headers = {} }: AxiosRequestConfig) {
+  const query = Object.keys(params)
+    .filter((key) => params[key] !== undefined)
+    .sort()
+    .map((key) => `${key}=${JSON.stringify(params[key])}`)
+    .join('&');
+
+  return `${url}?${query} ${headers.Authorization}`;
+}
+
+/*
+ * Read a query string into an object, + and percent escapes are decoded
+ */
+function parseQuery(query: string) {
+  const params: Record<string, string> = {};
+  query.split('&').forEach((pair) => {
+    if (!pair) return;
+    const [key, value = ''] = pair.split('=');
+    params[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
+  });
+  return params;
+}
+
 // TODO: refactor and add proper types
 function replaceStreamObjects<T, V>(obj: T): V {
   // @ts-expect-error
@@ -107,6 +149,35 @@ function replaceStreamObjects<T, V>(obj: T): V {
   return cloned;
 }
 
+/*
+ * Send the items in chunks with at most concurrency requests in flight, a failed chunk does not stop the others
+ * the settled chunks are returned in the order of the items
+ */
+async function sendInChunks<T, R>(items: T[], size: number, concurrency: number, send: (chunk: T[]) => Promise<R>) {
+  const chunks: T[][] = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+
+  const settled: { chunk: T[]; error?: Error; result?: R }[] = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < chunks.length) {
+      const index = next++;
+      const chunk = chunks[index];
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        settled[index] = { chunk, result: await send(chunk) };
+      } catch (error) {
+        settled[index] = { chunk, error };
+      }
+    }
+  };
+
+  const workers: Promise<void>[] = [];
+  for (let i = 0; i < Math.max(1, concurrency) && i < chunks.length; i++) workers.push(worker());
+  await Promise.all(workers);
+  return settled;
+}
+
 export default {
   validateFeedId,
   validateFeedSlug,
@@ -114,5 +185,9 @@ export default {
   rfc3986,
   isReadableStream,
   addFileToFormData,
+  cancelTokenFromSignal,
+  requestKey,
+  parseQuery,
   replaceStreamObjects,
+  sendInChunks,
 };
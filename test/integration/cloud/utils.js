@@ -1,11 +1,15 @@
 import chai, { expect } from 'chai';
 
 import { connect, StreamApiError } from '../../../src';
+import { Emulator } from '../../../src/testing';
 import config from '../utils/config';
 import { randUserId } from '../utils/hooks';
 
 const should = chai.should();
 
+// EMULATOR=true runs the scenarios offline against one in-memory emulator
+const emulator = process.env.EMULATOR ? new Emulator() : null;
+
 export class CloudContext {
   constructor() {
     this.response = null;
@@ -20,6 +24,7 @@ export class CloudContext {
     };
     this.clientOptions = {
       group: 'testCycle',
+      ...(emulator ? { transport: emulator.transport } : {}),
     };
 
     this.serverSideClient = connect(config.API_KEY, config.API_SECRET, config.APP_ID, this.clientOptions);
@@ -16,7 +16,14 @@ import {
   StreamFeed,
   FeedAPIResponse,
   FlatActivity,
+  fetchTransport,
+  Transport,
+  CacheStore,
+  MemoryCacheStore,
+  FeedSubscription,
+  CollectionMap,
 } from '../..';
+import { Emulator, EmulatorState, createFakeClient, FakeCall, Cassette, CassetteInteraction } from '../../lib/testing';
 
 type UserType = { name: string; image?: string };
 type ActivityType = { aText: string; attachments?: string[] };
@@ -46,6 +53,7 @@ client = new StreamClient<UserType, ActivityType, CollectionType, ReactionType,
 connect('', null);
 connect('', null, '', {});
 connect('', null, '', { timeout: 3000, keepAlive: true, expireTokens: false });
+connect('', null, '', { retry: { maxAttempts: 5, baseDelay: 100, jitter: false, statusCodes: [503] } });
 
 new StreamClient('', null);
 new StreamClient('', null, '', {});
@@ -75,6 +83,48 @@ client.getReadOnlyToken();
 // @ts-expect-error
 client.getReadWriteToken();
 
+const rateLimits: Record<string, { limit: number; remaining: number; reset: Date }> = client.getRateLimits();
+connect('', null, '', { throttle: true });
+connect('', null, '', { dedupe: true });
+connect('', null, '', { cache: {} });
+connect('', null, '', { tokenProvider: () => Promise.resolve('token') });
+// @ts-expect-error
+connect('', null, '', { tokenProvider: () => 'token' });
+const refreshedToken: Promise<string> = client.refreshToken();
+voidReturn = client.setUserToken('token');
+client.createUserToken('bob', {}, { expiresIn: '1h', nbf: 1000, claims: { team: 'blue' } });
+client.getReadOnlyToken('user', '1', { exp: 2000000000 });
+client.getReadWriteToken('user', '1', { expiresIn: 60 });
+const verifiedUserId: string | undefined = client.verifyToken('token', { clockTolerance: 10 }).user_id;
+// @ts-expect-error
+client.createUserToken('bob', {}, { exp: '1h' });
+connect('', null, '', { cache: { store: new MemoryCacheStore(100), ttl: { feeds: 1000 } } });
+const asyncStore: CacheStore = { get: async (key: string) => key, set: async () => {} };
+connect('', null, '', { cache: { store: asyncStore } });
+// @ts-expect-error
+connect('', null, '', { cache: { ttl: { reactions: 1000 } } });
+connect('', null, '', { transport: fetchTransport() });
+const customTransport: Transport = fetchTransport({ fetch: (input, init) => fetch(input, init) });
+connect('', null, '', { transport: customTransport });
+// @ts-expect-error
+connect('', null, '', { transport: 'fetch' });
+const emulator = new Emulator();
+connect('', null, '', { transport: emulator.transport });
+const emulatorState: EmulatorState = emulator.state;
+voidReturn = emulator.reset();
+const fake = createFakeClient<UserType, ActivityType, CollectionType>({ emulator, userId: 'alice' });
+fake.respond('feed.addActivity', ({ args }: FakeCall) => ({ id: 'id', activity: args[0] }));
+fake.fail('collections.get', new Error('unavailable'));
+const fakeCalls: FakeCall[] = fake.calls('feed.addActivity');
+const fakeCollection: Promise<CollectionEntry<CollectionType>> = fake.collections.get('collection_1', 'taco');
+voidReturn = fake.reset();
+const cassette = new Cassette();
+connect('', null, '', { transport: cassette.record() });
+connect('', null, '', { transport: cassette.record(emulator.transport) });
+connect('', null, '', { transport: Cassette.load('cassette.json').replay() });
+voidReturn = cassette.save('cassette.json');
+const pendingInteractions: CassetteInteraction[] = cassette.pending();
+
 const baseUrl: string = client.getBaseUrl();
 client.getBaseUrl('api');
 
@@ -89,6 +139,12 @@ voidReturn = client.on('', () => {});
 client.on('');
 voidReturn = client.off();
 voidReturn = client.off('');
+voidReturn = client.off('', () => {});
+
+client.use((request, next) => next({ ...request, headers: { ...request.headers, 'X-Trace-Id': '1' } }));
+client.use(() => Promise.resolve({})).use((request, next) => next(request));
+// @ts-expect-error
+client.use(() => {});
 
 voidReturn = client.send('');
 client.send('', 1, 3, true, []);
@@ -200,6 +256,14 @@ activitiesPromise.then(({ results }) => {
   results[0].aText as string;
 });
 
+const resolvedPromise: Promise<
+  EnrichedActivity<UserType, ActivityType, CollectionType, ReactionType, ChildReactionType>[]
+> = client.resolveReferences([
+  { actor: 'SU:alice', verb: 'eat', object: 'SO:food:cheese', foreign_id: '', id: '', time: '', aText: '' },
+]);
+// @ts-expect-error
+client.resolveReferences([{ actor: 'SU:alice' }]);
+
 client.getActivities({ foreignIDTimes: [{ foreignID: '', time: '' }] });
 client.getActivities({ ids: ['', ''], enrich: true, ownReactions: true });
 client.getActivities({});
@@ -257,6 +321,121 @@ client
     response.results as NotificationActivity<ActivityType>[];
   });
 
+timeline.get({ limit: 10 }, { signal: new AbortController().signal, timeout: 1000 });
+client.reactions.filter({ activity_id: 'id' }, { timeout: 1000 });
+client.collections.select('collection_1', ['taco'], { signal: new AbortController().signal });
+client.collections
+  .upsertChunked('collection_1', [{ id: 'taco', cid: 'c' }], { chunkSize: 500 })
+  .then(({ data, failures }) => {
+    data.collection_1[0].data.cid as string;
+    failures[0].items[0].cid as string;
+    failures[0].error as Error;
+  });
+client.collections
+  .selectChunked('collection_1', ['taco'], { concurrency: 4 }, { timeout: 1000 })
+  .then(({ response }) => response.data[0].data.cid as string);
+client.collections
+  .upsertMany({
+    products: [{ id: 'p1', cid: 'c' }],
+    brands: { id: 'b1', cid: 'c' },
+  })
+  .then(({ data }) => {
+    data.products[0].data.cid as string;
+    data.brands[0].id as string;
+    // @ts-expect-error
+    data.stores;
+  });
+type Product = { name: string; price: number };
+type Brand = { country: string };
+const catalog = connect<UserType, ActivityType, CollectionMap<{ product: Product; brand: Brand }>>('', null, '');
+catalog.collections.get('product', 'p1').then((entry: CollectionEntry<Product>) => entry.data?.price as number);
+catalog.collections.add('brand', null, { country: 'FR' }).then((entry) => entry.data?.country as string);
+// @ts-expect-error
+catalog.collections.add('brand', null, { price: 1 });
+// @ts-expect-error
+catalog.collections.get('store', 'id');
+catalog.collections.select('brand', ['b1']).then(({ response }) => response.data[0].data.country as string);
+catalog.collections
+  .upsertMany({
+    product: [{ id: 'p1', name: 'cheese', price: 1 }],
+    brand: { id: 'b1', country: 'FR' },
+  })
+  .then(({ data }) => {
+    data.product[0].data.price as number;
+    data.brand[0].data.country as string;
+  });
+// @ts-expect-error
+catalog.collections.upsertMany({ brand: [{ id: 'b1', price: 1 }] });
+catalog.collections.setValidator('product', (data) => {
+  if (data.price < 0) throw new Error('negative price');
+  return data;
+});
+// @ts-expect-error
+catalog.collections.setValidator('product', (data: Brand) => data);
+catalog.collections.setValidator('brand', null);
+catalog.collections.get('product', 'p1').then((entry) => {
+  entry.changes().price as number | undefined;
+  return entry.patch().then((patched: CollectionEntry<Product>) => patched.data?.name as string);
+});
+client.collections.deleteManyChunked('collection_1', ['taco']).then(({ deleted }) => deleted as string[]);
+// @ts-expect-error
+client.collections.upsertChunked('collection_1', [], { chunkSize: '500' });
+// @ts-expect-error
+timeline.get({}, { signal: true });
+
+const feedPages: AsyncIterable<FeedAPIResponse<
+  UserType,
+  ActivityType,
+  CollectionType,
+  ReactionType,
+  ChildReactionType
+>> = timeline.pages({ limit: 10 }, { timeout: 1000 });
+const feedActivities: AsyncIterable<{ id: string }> = timeline.iterate({ limit: 100, ranking: 'popular' });
+// @ts-expect-error
+timeline.iterate({ limit: '10' });
+const followerIterator: AsyncIterable<{ feed_id: string; target_id: string }> = timeline.iterateFollowers({
+  slug: 'timeline',
+});
+timeline.iterateFollowing({ limit: 100, slug: ['user', 'topic'], filter: ['user:1'] }, { timeout: 1000 });
+const allFollowers: Promise<{ feed_id: string }[]> = timeline.allFollowers({ maxItems: 1000 });
+// @ts-expect-error
+timeline.iterateFollowers({ offset: 10 });
+
+const reactionIterator: AsyncIterable<{ id: string; kind: string }> = client.reactions.iterate({
+  activity_id: 'id',
+  kind: 'comment',
+  with_activity_data: true,
+});
+client.reactions
+  .filter({ user_id: 'bob' })
+  .then((page) => client.reactions.filterNext(page, { user_id: 'bob' }, { timeout: 1000 }))
+  .then((page) => page && (page.results as { id: string }[]));
+
+timeline.subscribe((message) => {
+  message.feed as string;
+  message.new[0].id as string;
+  message.deleted_foreign_ids[0][1] as string;
+});
+timeline.subscribe({
+  onNew: (activities, message) => {
+    activities[0].actor as string | { id: string };
+    message.app_id as string;
+  },
+  onDeleted: (ids) => ids[0] as string,
+  onError: (error) => error.message,
+});
+// @ts-expect-error
+timeline.subscribe({ onNew: (activities: number) => activities });
+const realtimeState: 'connecting' | 'connected' | 'disconnected' | 'reconnecting' = client.realtimeState;
+client.on('disconnected', (error) => error);
+const feedSubscription: FeedSubscription = timeline.subscribe(() => {});
+feedSubscription.then(() => feedSubscription.cancel());
+timeline.subscribe(() => {}, { recover: true });
+timeline.subscribe({ onNew: () => {} }, { recover: { enrich: true, withReactionCounts: true }, lastActivityId: 'id' });
+// @ts-expect-error
+timeline.subscribe(() => {}, { recover: 'yes' });
+client.disconnectRealtime();
+
 const collection: Promise<CollectionEntry<CollectionType>> = client.collections.get('collection_1', 'taco');
 
 collection.then((item) => {
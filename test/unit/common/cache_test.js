@@ -0,0 +1,214 @@
+import expect from 'expect.js';
+import td from 'testdouble';
+
+import { MemoryCacheStore, ResponseCache } from '../../../src/cache';
+import { init, beforeEachFn } from '../utils/hooks';
+
+describe('[UNIT] Response cache', function () {
+  init.call(this);
+
+  afterEach(function () {
+    td.reset();
+  });
+
+  describe('MemoryCacheStore', function () {
+    it('(1) evicts the least recently used entry', function () {
+      const store = new MemoryCacheStore(2);
+      store.set('a', '1', 1000);
+      store.set('b', '2', 1000);
+      store.get('a');
+      store.set('c', '3', 1000);
+
+      expect(store.get('a')).to.be('1');
+      expect(store.get('b')).to.be(undefined);
+      expect(store.get('c')).to.be('3');
+    });
+
+    it('(2) expires entries', function () {
+      const store = new MemoryCacheStore();
+      store.set('a', '1', -1);
+
+      expect(store.get('a')).to.be(undefined);
+    });
+  });
+
+  describe('ResponseCache', function () {
+    beforeEach(function () {
+      this.calls = 0;
+      this.load = () => {
+        this.calls += 1;
+        return Promise.resolve({ call: this.calls });
+      };
+    });
+
+    it('(1) serves reads from the cache until the ttl expires', function () {
+      const cache = new ResponseCache({ ttl: { users: 1000 } });
+
+      return cache
+        .read('users', '1', '{}', this.load)
+        .then(() => cache.read('users', '1', '{}', this.load))
+        .then((response) => {
+          expect(response).to.eql({ call: 1 });
+          expect(this.calls).to.be(1);
+        });
+    });
+
+    it('(2) caches each variant', function () {
+      const cache = new ResponseCache();
+
+      return cache
+        .read('feeds', 'user:1', 'page1', this.load)
+        .then(() => cache.read('feeds', 'user:1', 'page2', this.load))
+        .then(() => cache.read('feeds', 'user:1', 'page1', this.load))
+        .then((response) => {
+          expect(response).to.eql({ call: 1 });
+          expect(this.calls).to.be(2);
+        });
+    });
+
+    it('(3) invalidate evicts every variant', function () {
+      const cache = new ResponseCache();
+
+      return cache
+        .read('feeds', 'user:1', 'page1', this.load)
+        .then(() => cache.read('feeds', 'user:1', 'page2', this.load))
+        .then(() => cache.invalidate('feeds', 'user:1'))
+        .then(() => cache.read('feeds', 'user:1', 'page1', this.load))
+        .then(() => cache.read('feeds', 'user:1', 'page2', this.load))
+        .then(() => expect(this.calls).to.be(4));
+    });
+
+    it('(4) a zero ttl disables a resource', function () {
+      const cache = new ResponseCache({ ttl: { feeds: 0 } });
+
+      return cache
+        .read('feeds', 'user:1', '{}', this.load)
+        .then(() => cache.read('feeds', 'user:1', '{}', this.load))
+        .then(() => expect(this.calls).to.be(2));
+    });
+
+    it('(5) works with an async store', function () {
+      const data = {};
+      const store = {
+        get: (key) => Promise.resolve(data[key]),
+        set: (key, value, ttl) => {
+          data[key] = value;
+          expect(ttl).to.be(60 * 1000);
+          return Promise.resolve();
+        },
+      };
+      const cache = new ResponseCache({ store });
+
+      return cache
+        .read('collections', 'food:cheese', '{}', this.load)
+        .then(() => {
+          expect(Object.keys(data)).to.eql(['stream:collections:food:cheese:0:{}']);
+          return cache.read('collections', 'food:cheese', '{}', this.load);
+        })
+        .then(() => expect(this.calls).to.be(1))
+        .then(() => cache.invalidate('collections', 'food:cheese'))
+        .then(() => cache.read('collections', 'food:cheese', '{}', this.load))
+        .then(() => expect(this.calls).to.be(2));
+    });
+
+    it('(6) does not cache a response loaded while the resource is invalidated', function () {
+      const cache = new ResponseCache();
+      const load = () => cache.invalidate('users', '1').then(this.load);
+
+      return cache
+        .read('users', '1', '{}', load)
+        .then(() => cache.read('users', '1', '{}', this.load))
+        .then(() => expect(this.calls).to.be(2));
+    });
+  });
+
+  describe('StreamClient', function () {
+    beforeEach(beforeEachFn);
+    beforeEach(function () {
+      this.client.cache = new ResponseCache();
+      this.client.request = td.function();
+      td.when(this.client.request(), { ignoreExtraArgs: true }).thenDo(() =>
+        Promise.resolve({
+          status: 200,
+          data: { id: 'cheese', collection: 'food', data: { name: 'cheese' }, results: [] },
+        }),
+      );
+      this.requests = () => td.explain(this.client.request).callCount;
+    });
+
+    it('(1) caches users until the client updates them', function () {
+      const user = this.client.user('bob');
+
+      return user
+        .get()
+        .then(() => user.get())
+        .then(() => expect(this.requests()).to.be(1))
+        .then(() => user.profile())
+        .then(() => expect(this.requests()).to.be(2))
+        .then(() => user.update({ name: 'bob' }))
+        .then(() => user.get())
+        .then(() => expect(this.requests()).to.be(4));
+    });
+
+    it('(2) caches collection entries until the client updates them', function () {
+      const { collections } = this.client;
+
+      return collections
+        .get('food', 'cheese')
+        .then(() => collections.get('food', 'cheese'))
+        .then((entry) => {
+          expect(entry.data).to.eql({ name: 'cheese' });
+          expect(this.requests()).to.be(1);
+          return entry.update();
+        })
+        .then(() => collections.get('food', 'cheese'))
+        .then(() => expect(this.requests()).to.be(3))
+        .then(() => collections.delete('food', 'cheese'))
+        .then(() => collections.get('food', 'cheese'))
+        .then(() => expect(this.requests()).to.be(5));
+    });
+
+    it('(3) evicts the pages of a feed when the client adds an activity', function () {
+      const feed = this.client.feed('user', 'bob', 'token');
+
+      return Promise.all([feed.get({ limit: 10 }), feed.get({ limit: 20 })])
+        .then(() => Promise.all([feed.get({ limit: 10 }), feed.get({ limit: 20 })]))
+        .then(() => expect(this.requests()).to.be(2))
+        .then(() => feed.addActivity({ actor: 'bob', verb: 'eat', object: 'cheese' }))
+        .then(() => Promise.all([feed.get({ limit: 10 }), feed.get({ limit: 20 })]))
+        .then(() => expect(this.requests()).to.be(5));
+    });
+
+    it('(4) evicts the pages of the to targets of the added activities', function () {
+      const feed = this.client.feed('user', 'bob', 'token');
+      const alice = this.client.feed('notification', 'alice', 'token');
+      const carl = this.client.feed('notification', 'carl', 'token');
+      const activity = { actor: 'bob', verb: 'eat', object: 'cheese' };
+
+      return Promise.all([alice.get(), carl.get()])
+        .then(() => feed.addActivity({ ...activity, to: ['notification:alice'] }))
+        .then(() => feed.addActivities([activity, { ...activity, to: ['notification:carl'] }]))
+        .then(() => Promise.all([alice.get(), carl.get()]))
+        .then(() => expect(this.requests()).to.be(6));
+    });
+
+    it('(5) never caches reads marking the feed', function () {
+      const feed = this.client.feed('notification', 'bob', 'token');
+
+      return feed
+        .get({ mark_seen: true })
+        .then(() => feed.get({ mark_seen: true }))
+        .then(() => expect(this.requests()).to.be(2));
+    });
+
+    it('(6) is disabled by default', function () {
+      this.client.cache = undefined;
+      const user = this.client.user('bob');
+
+      return user
+        .get()
+        .then(() => user.get())
+        .then(() => expect(this.requests()).to.be(2));
+    });
+  });
+});
@@ -2,6 +2,7 @@ import expect from 'expect.js';
 import td from 'testdouble';
 
 import utils from '../../../src/utils';
+import retry from '../../../src/retry';
 import * as errors from '../../../src/errors';
 import config from '../utils/config';
 import { init, beforeEachFn } from '../utils/hooks';
@@ -85,6 +86,98 @@ describe('[UNIT] Stream Client (Common)', function () {
     });
   });
 
+  describe('#on multiple handlers', function () {
+    it('(1) calls every handler', function () {
+      const calls = [];
+      this.client.on('test', (value) => calls.push(`a${value}`));
+      this.client.on('test', (value) => calls.push(`b${value}`));
+
+      this.client.send('test', 1);
+
+      expect(calls).to.eql(['a1', 'b1']);
+    });
+
+    it('(2) removes a single handler', function () {
+      const calls = [];
+      const a = (value) => calls.push(`a${value}`);
+      this.client.on('test', a);
+      this.client.on('test', (value) => calls.push(`b${value}`));
+      this.client.off('test', a);
+
+      this.client.send('test', 1);
+
+      expect(calls).to.eql(['b1']);
+    });
+
+    it('(3) error event', function () {
+      const calls = [];
+      td.replace(this.client, 'enrichKwargs', enrichKwargs);
+      this.client.request = () => Promise.reject(new Error('socket hang up'));
+      this.client.on('error', (error, method, options) => calls.push([error, method, options]));
+
+      return this.client.get({ url: 'feed' }).then(
+        () => expect().fail('Expected to fail'),
+        (err) => {
+          expect(err).to.be.a(errors.SiteError);
+          expect(calls).to.eql([[err, 'GET', { url: 'feed' }]]);
+        },
+      );
+    });
+  });
+
+  describe('#use', function () {
+    beforeEach(function () {
+      td.replace(this.client, 'enrichKwargs', enrichKwargs);
+      this.client.request = td.function();
+      td.when(this.client.request(), { ignoreExtraArgs: true }).thenResolve({ status: 200, data: { ok: true } });
+    });
+
+    it('(1) runs middlewares in order and rewrites the request', function () {
+      const calls = [];
+      this.client
+        .use((request, next) => {
+          calls.push(`a ${request.url}`);
+          return next({ ...request, headers: { 'X-Trace-Id': '42' } });
+        })
+        .use((request, next) => {
+          calls.push(`b ${request.url} ${request.headers['X-Trace-Id']}`);
+          return next(request);
+        });
+
+      return this.client.get({ url: 'feed' }).then((response) => {
+        expect(response).to.eql({ ok: true });
+        expect(calls).to.eql(['a feed', 'b feed 42']);
+        td.verify(this.client.request({ method: 'GET', url: 'feed', headers: { 'X-Trace-Id': '42' } }));
+      });
+    });
+
+    it('(2) short circuits the request', function () {
+      this.client.use(() => Promise.resolve({ cached: true }));
+
+      return this.client.get({ url: 'feed' }).then((response) => {
+        expect(response).to.eql({ cached: true });
+        expect(td.explain(this.client.request).callCount).to.be(0);
+      });
+    });
+
+    it('(3) transforms errors', function () {
+      this.client.request = () => Promise.reject(new Error('socket hang up'));
+      this.client.use((request, next) =>
+        next(request).catch((err) => {
+          throw new errors.FeedError(`wrapped ${err.message}`);
+        }),
+      );
+
+      return this.client.get({ url: 'feed' }).then(
+        () => expect().fail('Expected to fail'),
+        (err) => {
+          expect(err).to.be.a(errors.FeedError);
+          expect(err.message).to.be('wrapped socket hang up');
+        },
+      );
+    });
+  });
+
   it('#send', function (done) {
     expect(this.client.send).to.be.a(Function);
 
@@ -201,6 +294,145 @@ describe('[UNIT] Stream Client (Common)', function () {
         expect(err.response).to.be.eql({ status: 500, data });
       });
     });
+
+    it('(7) typed errors from status code', function () {
+      [
+        [400, errors.ValidationError],
+        [401, errors.AuthenticationError],
+        [403, errors.AuthenticationError],
+        [404, errors.NotFoundError],
+        [409, errors.ConflictError],
+        [429, errors.RateLimitError],
+      ].forEach(([status, ErrorClass]) => {
+        expect(() => this.client.handleResponse({ status, data: {} })).to.throwException((err) => {
+          expect(err).to.be.a(ErrorClass);
+          expect(err).to.be.a(errors.StreamApiError);
+          expect(err.statusCode).to.be(status);
+        });
+      });
+    });
+
+    it('(8) typed errors from exception and error details', function () {
+      const data = {
+        code: 16,
+        detail: 'Activity not found',
+        duration: '0.31ms',
+        exception: 'DoesNotExistException',
+        exception_fields: { id: ['not found'] },
+        status_code: 400,
+      };
+      expect(() => this.client.handleResponse({ status: 400, data })).to.throwException((err) => {
+        expect(err).to.be.a(errors.NotFoundError);
+        expect(err.message).to.be(`${JSON.stringify(data)} with HTTP status code 400`);
+        expect(err.statusCode).to.be(400);
+        expect(err.code).to.be(16);
+        expect(err.exception).to.be('DoesNotExistException');
+        expect(err.exceptionFields).to.eql({ id: ['not found'] });
+        expect(err.duration).to.be('0.31ms');
+      });
+    });
+
+    it('(9) generic error for other status codes', function () {
+      expect(() => this.client.handleResponse({ status: 502, data: 'Bad Gateway' })).to.throwException((err) => {
+        expect(err).to.be.a(errors.StreamApiError);
+        expect(err).not.to.be.a(errors.ValidationError);
+        expect(err.message).to.be('"Bad Gateway" with HTTP status code 502');
+        expect(err.code).to.be(undefined);
+      });
+    });
+  });
+
+  describe('#getRateLimits', function () {
+    const reset = Math.floor(Date.now() / 1000) + 60;
+    const headers = { 'x-ratelimit-limit': '100', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': `${reset}` };
+
+    beforeEach(function () {
+      td.replace(this.client, 'enrichKwargs', enrichKwargs);
+      td.replace(retry, 'sleep', td.function());
+      td.when(retry.sleep(), { ignoreExtraArgs: true }).thenDo(() => Promise.resolve());
+    });
+
+    it('(1) records the quota per endpoint', function () {
+      this.client.request = () => Promise.resolve({ status: 200, data: {}, headers });
+
+      return this.client.post({ url: 'follow_many/' }).then(() => {
+        expect(this.client.getRateLimits()).to.eql({
+          'POST follow_many/': { limit: 100, remaining: 0, reset: new Date(reset * 1000) },
+        });
+      });
+    });
+
+    it('(2) records the quota of failed requests', function () {
+      this.client.request = () =>
+        Promise.reject(Object.assign(new Error('Too Many Requests'), { response: { status: 429, data: {}, headers } }));
+
+      return this.client.get({ url: 'feed/user/1/' }).then(
+        () => expect().fail('Expected to fail'),
+        () => expect(this.client.getRateLimits()['GET feed/:feed_slug/:user_id/'].remaining).to.be(0),
+      );
+    });
+
+    it('(3) throttles requests once the quota is exhausted', function () {
+      this.client.options.throttle = true;
+      this.client.request = () => Promise.resolve({ status: 200, data: {}, headers });
+
+      return this.client
+        .post({ url: 'follow_many/' })
+        .then(() => {
+          expect(td.explain(retry.sleep).callCount).to.be(0);
+          const limit = this.client._rateLimits['POST follow_many/'];
+          td.when(retry.sleep(), { ignoreExtraArgs: true }).thenDo(() => {
+            limit.reset = new Date(0);
+            return Promise.resolve();
+          });
+          this.client.request = () => Promise.resolve({ status: 200, data: {} });
+          return this.client.post({ url: 'follow_many/' });
+        })
+        .then(() => {
+          expect(td.explain(retry.sleep).callCount).to.be(1);
+          expect(td.explain(retry.sleep).calls[0].args[0]).to.be.within(1, 60 * 1000);
+        });
+    });
+
+    it('(4) does not throttle unless enabled', function () {
+      this.client.request = () => Promise.resolve({ status: 200, data: {}, headers });
+
+      return this.client
+        .post({ url: 'follow_many/' })
+        .then(() => this.client.post({ url: 'follow_many/' }))
+        .then(() => expect(td.explain(retry.sleep).callCount).to.be(0));
+    });
+
+    it('(5) shares the quota of an endpoint between its resources', function () {
+      this.client.request = () => Promise.resolve({ status: 200, data: {}, headers });
+
+      return Promise.all([
+        this.client.get({ url: 'feed/user/1/' }),
+        this.client.get({ url: 'feed/user/2/' }),
+        this.client.get({ url: 'user/alice/' }),
+        this.client.get({ url: 'collections/food/cheese/' }),
+        this.client.get({ url: 'reaction/activity_id/a1/like/', qs: { limit: 5 } }),
+      ]).then(() => {
+        expect(Object.keys(this.client.getRateLimits()).sort()).to.eql([
+          'GET collections/:collection_name/:id/',
+          'GET feed/:feed_slug/:user_id/',
+          'GET reaction/activity_id/:lookup_value/:kind/',
+          'GET user/:user_id/',
+        ]);
+      });
+    });
+
+    it('(6) keeps the quotas of 100 endpoints at most', function () {
+      this.client.request = () => Promise.resolve({ status: 200, data: {}, headers });
+      const requests = [];
+      for (let i = 0; i < 150; i++) requests.push(this.client.get({ url: `personalization_${i}/` }));
+
+      return Promise.all(requests).then(() => {
+        const endpoints = Object.keys(this.client.getRateLimits());
+        expect(endpoints.length).to.be(100);
+        expect(endpoints[99]).to.be('GET personalization_149/');
+      });
+    });
   });
 
   describe('#enrichUrl', function () {
@@ -265,6 +497,22 @@ describe('[UNIT] Stream Client (Common)', function () {
       expect(kwargs.data).to.be.eql({ reaction_id: 123 });
       expect(kwargs.url).to.be('https://api.stream-io-api.com/api/v1.0/feed');
     });
+
+    it('per call timeout and signal', function () {
+      const controller = new AbortController();
+      const kwargs = this.client.enrichKwargs({
+        url: 'feed',
+        axiosOptions: { timeout: 0 },
+        timeout: 500,
+        signal: controller.signal,
+      });
+
+      expect(kwargs.timeout).to.be(500);
+      expect(kwargs).not.to.have.property('signal');
+      expect(kwargs.cancelToken.reason).to.be(undefined);
+      controller.abort();
+      expect(kwargs.cancelToken.reason.message).to.be('Request aborted');
+    });
   });
 
   describe('Requests', function () {
@@ -342,5 +590,250 @@ describe('[UNIT] Stream Client (Common)', function () {
         expect(response).to.be.eql({ next: '' });
       });
     });
+
+    describe('abort', function () {
+      beforeEach(function () {
+        this.client.options.retry = {};
+        this.client.request = td.function();
+        td.when(this.client.request(), { ignoreExtraArgs: true }).thenDo(
+          (kwargs) => new Promise((resolve, reject) => kwargs.cancelToken.promise.then(reject)),
+        );
+      });
+
+      it('(1) already aborted signal', function () {
+        const controller = new AbortController();
+        controller.abort();
+
+        return this.client.get({ url: 'feed', signal: controller.signal }).then(
+          () => expect().fail('Expected to fail'),
+          (err) => {
+            expect(err).to.be.a(errors.AbortError);
+            expect(td.explain(this.client.request).callCount).to.be(0);
+          },
+        );
+      });
+
+      it('(2) abort in flight request', function () {
+        const controller = new AbortController();
+        const promise = this.client.get({ url: 'feed', signal: controller.signal });
+        setTimeout(() => controller.abort(), 0);
+
+        return promise.then(
+          () => expect().fail('Expected to fail'),
+          (err) => {
+            expect(err).to.be.a(errors.AbortError);
+            expect(err.message).to.be('Request aborted');
+            expect(td.explain(this.client.request).callCount).to.be(1);
+          },
+        );
+      });
+
+      it('(3) abort during the retry backoff', function () {
+        const controller = new AbortController();
+        this.client.options.retry = { baseDelay: 60 * 1000, jitter: false };
+        this.client.request = td.function();
+        td.when(this.client.request(), { ignoreExtraArgs: true }).thenReject({
+          response: { status: 503, data: {}, headers: {} },
+        });
+        const promise = this.client.get({ url: 'feed', signal: controller.signal });
+        setTimeout(() => controller.abort(), 10);
+
+        return promise.then(
+          () => expect().fail('Expected to fail'),
+          (err) => {
+            expect(err).to.be.a(errors.AbortError);
+            expect(td.explain(this.client.request).callCount).to.be(1);
+          },
+        );
+      });
+
+      it('(4) abort while throttled', function () {
+        const controller = new AbortController();
+        this.client.options.throttle = true;
+        this.client._rateLimits['GET feed'] = { limit: 10, remaining: 0, reset: new Date(Date.now() + 60 * 1000) };
+        const promise = this.client.get({ url: 'feed', signal: controller.signal });
+        setTimeout(() => controller.abort(), 10);
+
+        return promise.then(
+          () => expect().fail('Expected to fail'),
+          (err) => {
+            expect(err).to.be.a(errors.AbortError);
+            expect(td.explain(this.client.request).callCount).to.be(0);
+          },
+        );
+      });
+    });
+
+    describe('retry', function () {
+      function respondWith(...results) {
+        let call = 0;
+        return () => {
+          const result = results[Math.min(call++, results.length - 1)];
+          return result.status === 200 ? Promise.resolve(result) : Promise.reject(result);
+        };
+      }
+
+      beforeEach(function () {
+        td.replace(this.client, 'enrichKwargs', enrichKwargs);
+        td.replace(retry, 'sleep', td.function());
+        td.when(retry.sleep(), { ignoreExtraArgs: true }).thenDo(() => Promise.resolve());
+        this.client.request = td.function();
+      });
+
+      it('(1) does not retry without a policy', function () {
+        td.when(this.client.request(), { ignoreExtraArgs: true }).thenDo(
+          respondWith({ response: { status: 503, data: {}, headers: {} } }),
+        );
+
+        return this.client.get({ url: 'feed' }).then(
+          () => expect().fail('Expected to fail'),
+          (err) => {
+            expect(err).to.be.a(errors.StreamApiError);
+            expect(td.explain(this.client.request).callCount).to.be(1);
+          },
+        );
+      });
+
+      it('(2) retries retryable status codes', function () {
+        this.client.options.retry = { maxAttempts: 3 };
+        td.when(this.client.request(), { ignoreExtraArgs: true }).thenDo(
+          respondWith(
+            { response: { status: 503, data: {}, headers: {} } },
+            { message: 'socket hang up' },
+            { status: 200, data: {} },
+          ),
+        );
+
+        return this.client.get({ method: 'GET', url: 'feed' }).then((response) => {
+          expect(response).to.be.eql({});
+          expect(td.explain(retry.sleep).callCount).to.be(2);
+        });
+      });
+
+      it('(3) gives up after maxAttempts', function () {
+        this.client.options.retry = { maxAttempts: 2 };
+        td.when(this.client.request(), { ignoreExtraArgs: true }).thenDo(respondWith({ message: 'socket hang up' }));
+
+        return this.client.get({ method: 'GET', url: 'feed' }).then(
+          () => expect().fail('Expected to fail'),
+          (err) => {
+            expect(err).to.be.a(errors.SiteError);
+            expect(err.cause).to.eql({ message: 'socket hang up' });
+            expect(td.explain(this.client.request).callCount).to.be(2);
+          },
+        );
+      });
+
+      it('(4) does not retry non idempotent methods', function () {
+        this.client.options.retry = {};
+        td.when(this.client.request(), { ignoreExtraArgs: true }).thenDo(
+          respondWith({ response: { status: 503, data: {}, headers: {} } }),
+        );
+
+        return this.client.post({ method: 'POST', url: 'feed' }).then(
+          () => expect().fail('Expected to fail'),
+          () => expect(td.explain(this.client.request).callCount).to.be(1),
+        );
+      });
+
+      it('(5) honours Retry-After', function () {
+        this.client.options.retry = {};
+        td.when(this.client.request(), { ignoreExtraArgs: true }).thenDo(
+          respondWith(
+            { response: { status: 429, data: {}, headers: { 'retry-after': '2' } } },
+            { status: 200, data: {} },
+          ),
+        );
+
+        return this.client.get({ method: 'GET', url: 'feed' }).then(() => {
+          expect(td.explain(retry.sleep).calls[0].args[0]).to.be(2000);
+        });
+      });
+    });
+
+    describe('dedupe', function () {
+      beforeEach(function () {
+        this.client.options.dedupe = true;
+        this.client.request = td.function();
+        td.when(this.client.request(), { ignoreExtraArgs: true }).thenDo(() =>
+          Promise.resolve({ status: 200, data: { results: [] } }),
+        );
+      });
+
+      it('(1) shares one call between identical GETs', function () {
+        return Promise.all([
+          this.client.get({ url: 'feed', qs: { limit: 5, offset: 0 }, token: 'token' }),
+          this.client.get({ url: 'feed', qs: { offset: 0, limit: 5 }, token: 'token' }),
+        ]).then(([first, second]) => {
+          expect(first).to.be(second);
+          expect(td.explain(this.client.request).callCount).to.be(1);
+        });
+      });
+
+      it('(2) keys on url, query string and token', function () {
+        return Promise.all([
+          this.client.get({ url: 'feed', qs: { limit: 5 }, token: 'token' }),
+          this.client.get({ url: 'feed', qs: { limit: 6 }, token: 'token' }),
+          this.client.get({ url: 'feed', qs: { limit: 5 }, token: 'other' }),
+          this.client.get({ url: 'other', qs: { limit: 5 }, token: 'token' }),
+        ]).then(() => expect(td.explain(this.client.request).callCount).to.be(4));
+      });
+
+      it('(3) only coalesces requests in flight', function () {
+        return this.client
+          .get({ url: 'feed', token: 'token' })
+          .then(() => this.client.get({ url: 'feed', token: 'token' }))
+          .then(() => expect(td.explain(this.client.request).callCount).to.be(2));
+      });
+
+      it('(4) shares failures', function () {
+        this.client.request = td.function();
+        td.when(this.client.request(), { ignoreExtraArgs: true }).thenDo(() =>
+          Promise.reject(new Error('socket hang up')),
+        );
+
+        return Promise.all(
+          [1, 2].map(() =>
+            this.client.get({ url: 'feed', token: 'token' }).then(
+              () => expect().fail('Expected to fail'),
+              (err) => err,
+            ),
+          ),
+        ).then(([first, second]) => {
+          expect(first).to.be.a(errors.SiteError);
+          expect(first).to.be(second);
+          expect(td.explain(this.client.request).callCount).to.be(1);
+        });
+      });
+
+      it('(5) does not coalesce writes', function () {
+        return Promise.all([
+          this.client.post({ url: 'feed', body: {}, token: 'token' }),
+          this.client.post({ url: 'feed', body: {}, token: 'token' }),
+          this.client.put({ url: 'feed', body: {}, token: 'token' }),
+          this.client.put({ url: 'feed', body: {}, token: 'token' }),
+          this.client.delete({ url: 'feed', token: 'token' }),
+          this.client.delete({ url: 'feed', token: 'token' }),
+        ]).then(() => expect(td.explain(this.client.request).callCount).to.be(6));
+      });
+
+      it('(6) does not coalesce requests with a signal', function () {
+        const { signal } = new AbortController();
+
+        return Promise.all([
+          this.client.get({ url: 'feed', token: 'token', signal }),
+          this.client.get({ url: 'feed', token: 'token', signal }),
+        ]).then(() => expect(td.explain(this.client.request).callCount).to.be(2));
+      });
+
+      it('(7) is disabled by default', function () {
+        this.client.options.dedupe = undefined;
+
+        return Promise.all([
+          this.client.get({ url: 'feed', token: 'token' }),
+          this.client.get({ url: 'feed', token: 'token' }),
+        ]).then(() => expect(td.explain(this.client.request).callCount).to.be(2));
+      });
+    });
   });
 });
@@ -1,5 +1,8 @@
 import expect from 'expect.js';
 import Faye from 'faye';
+import td from 'testdouble';
+
+import { SiteError } from '../../../src';
 
 import { init, beforeEachFn } from '../utils/hooks';
 
@@ -34,4 +37,79 @@ describe('[UNIT] Faye (browser)', function () {
 
     expect(client).to.be.a(Faye.Client);
   });
+
+  describe('connection state', function () {
+    beforeEach(function () {
+      this.events = [];
+      ['connecting', 'connected', 'reconnecting', 'disconnected'].forEach((state) =>
+        this.client.on(state, (error) => this.events.push(error ? [state, error] : state)),
+      );
+      this.fayeClient = this.client.getFayeClient();
+      this.handshake = (message) =>
+        new Promise((resolve) =>
+          this.fayeClient.pipeThroughExtensions('incoming', { channel: '/meta/handshake', ...message }, null, resolve),
+        );
+    });
+
+    afterEach(function () {
+      td.reset();
+    });
+
+    it('(1) reports the handshake and transport state', function () {
+      return this.handshake({ successful: true }).then(() => {
+        this.fayeClient.trigger('transport:down');
+        this.fayeClient.trigger('transport:up');
+
+        expect(this.client.realtimeState).to.be('connected');
+        expect(this.events).to.eql(['connecting', 'connected', 'reconnecting', 'connected']);
+      });
+    });
+
+    it('(2) reports handshake failures', function () {
+      return this.handshake({ successful: false, error: '401::Unauthorized' }).then(() => {
+        const [state, error] = this.events[1];
+        expect(state).to.be('disconnected');
+        expect(error).to.be.a(SiteError);
+        expect(error.message).to.be('Realtime handshake failed: 401::Unauthorized');
+      });
+    });
+
+    it('(3) leaves the subscriptions to Faye after a reconnect', function () {
+      this.client.subscriptions['/site-1-feed-user1'] = { userId: 'site-1-feed-user1', token: 'token' };
+      this.fayeClient.subscribe = td.function();
+
+      return this.handshake({ successful: true }).then(() => {
+        this.fayeClient.trigger('transport:down');
+        this.fayeClient.trigger('transport:up');
+
+        expect(td.explain(this.fayeClient.subscribe).callCount).to.be(0);
+      });
+    });
+
+    it('(4) disconnectRealtime tears everything down', function () {
+      const subscription = td.object(['cancel']);
+      this.client.subscriptions['/site-1-feed-user1'] = { fayeSubscriptions: [subscription] };
+      this.fayeClient.disconnect = td.function();
+
+      this.client.disconnectRealtime();
+      this.fayeClient.trigger('transport:down');
+
+      td.verify(subscription.cancel());
+      td.verify(this.fayeClient.disconnect());
+      expect(this.client.subscriptions).to.eql({});
+      expect(this.client.fayeClient).to.be(null);
+      expect(this.events).to.eql(['connecting', 'disconnected']);
+      expect(this.client.getFayeClient()).not.to.be(this.fayeClient);
+    });
+
+    it('(5) disconnectRealtime stops a client still handshaking', function () {
+      this.fayeClient._sendMessage = td.function();
+
+      this.client.disconnectRealtime();
+      this.fayeClient.handshake();
+      this.fayeClient.connect();
+
+      expect(td.explain(this.fayeClient._sendMessage).callCount).to.be(0);
+    });
+  });
 });
@@ -1,9 +1,24 @@
 import expect from 'expect.js';
 import td from 'testdouble';
 
-import { StreamFeed, SiteError } from '../../../src';
+import { ResponseCache, StreamFeed, SiteError } from '../../../src';
 import { init, beforeEachFn } from '../utils/hooks';
 
+// read an async iterable into an array, stopping after max items
+function collect(iterable, max = Infinity) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  const items = [];
+  const step = () => {
+    if (items.length >= max) return iterator.return().then(() => items);
+    return iterator.next().then(({ done, value }) => {
+      if (done) return items;
+      items.push(value);
+      return step();
+    });
+  };
+  return step();
+}
+
 describe('[UNIT] Stream Feed (Common)', function () {
   let get;
   let post;
@@ -210,6 +225,80 @@ describe('[UNIT] Stream Feed (Common)', function () {
     });
   });
 
+  describe('follow iterators', function () {
+    function follows(list, ids) {
+      return {
+        results: ids.map((id) =>
+          list === 'followers'
+            ? { feed_id: id, target_id: 'user:matthisk', created_at: '', updated_at: '' }
+            : { feed_id: 'user:matthisk', target_id: id, created_at: '', updated_at: '' },
+        ),
+      };
+    }
+
+    beforeEach(function () {
+      this.respond = (list, ...pages) => {
+        let call = 0;
+        td.when(get(), { ignoreExtraArgs: true }).thenDo(() => Promise.resolve(follows(list, pages[call++] || [])));
+      };
+      this.offsets = () => td.explain(get).calls.map(({ args }) => args[0].qs.offset);
+    });
+
+    it('#iterateFollowers pages by offset until a short page', function () {
+      this.respond('followers', ['timeline:1', 'timeline:2'], ['timeline:3']);
+
+      return collect(feed.iterateFollowers({ limit: 2 })).then((followers) => {
+        expect(followers.map(({ feed_id: feedId }) => feedId)).to.eql(['timeline:1', 'timeline:2', 'timeline:3']);
+        expect(this.offsets()).to.eql([0, 2]);
+        td.verify(get(td.matchers.contains({ url: 'feed/user/matthisk/followers/' })));
+      });
+    });
+
+    it('#iterateFollowers stops on an empty page', function () {
+      this.respond('followers', ['timeline:1', 'timeline:2'], []);
+
+      return collect(feed.iterateFollowers()).then((followers) => {
+        expect(followers).to.have.length(2);
+        expect(this.offsets()).to.eql([0, 2]);
+      });
+    });
+
+    it('#iterateFollowing filters by slug', function () {
+      this.respond('following', ['user:1', 'topic:cats', 'group:2'], ['topic:dogs']);
+
+      return collect(feed.iterateFollowing({ limit: 3, slug: ['user', 'topic'], filter: ['a:b'] })).then(
+        (following) => {
+          expect(following.map(({ target_id: targetId }) => targetId)).to.eql(['user:1', 'topic:cats', 'topic:dogs']);
+          td.verify(
+            get(
+              td.matchers.contains({
+                url: 'feed/user/matthisk/following/',
+                qs: { limit: 3, offset: 0, filter: 'a:b' },
+              }),
+            ),
+          );
+        },
+      );
+    });
+
+    it('#allFollowers collects up to maxItems', function () {
+      this.respond('followers', ['timeline:1', 'timeline:2'], ['timeline:3', 'timeline:4'], ['timeline:5']);
+
+      return feed.allFollowers({ limit: 2, maxItems: 3 }).then((followers) => {
+        expect(followers.map(({ feed_id: feedId }) => feedId)).to.eql(['timeline:1', 'timeline:2', 'timeline:3']);
+        expect(this.offsets()).to.eql([0, 2]);
+      });
+    });
+
+    it('#allFollowers collects every follower', function () {
+      this.respond('followers', ['timeline:1', 'user:2'], ['timeline:3']);
+
+      return feed.allFollowers({ limit: 2, slug: 'timeline' }).then((followers) => {
+        expect(followers.map(({ feed_id: feedId }) => feedId)).to.eql(['timeline:1', 'timeline:3']);
+      });
+    });
+  });
+
   describe('#followStats', function () {
     it('(1) default', function () {
       feed.followStats();
@@ -329,6 +418,87 @@ describe('[UNIT] Stream Feed (Common)', function () {
       feed.get({ enrich: false, ownReactions: true });
       td.verify(get(td.matchers.contains({ url: 'feed/user/matthisk/' })));
     });
+
+    it('(9) request options', function () {
+      const signal = {};
+      feed.get({ enrich: false }, { signal, timeout: 500 });
+      td.verify(get(td.matchers.contains({ url: 'feed/user/matthisk/', signal, timeout: 500 })));
+    });
+  });
+
+  describe('#pages', function () {
+    function page(ids, next = 'next') {
+      return { results: ids.map((id) => ({ id })), next, duration: '1ms' };
+    }
+
+    beforeEach(function () {
+      this.respond = (...pages) => {
+        let call = 0;
+        td.when(get(), { ignoreExtraArgs: true }).thenDo(() => Promise.resolve(pages[call++]));
+      };
+      this.qs = () => td.explain(get).calls.map(({ args }) => args[0].qs);
+    });
+
+    it('(1) chains pages with id_lt', function () {
+      this.respond(page(['c', 'b']), page(['a'], ''));
+
+      return collect(feed.pages({ limit: 2 })).then((pages) => {
+        expect(pages).to.have.length(2);
+        expect(this.qs()).to.eql([{ limit: 2 }, { limit: 2, id_lt: 'b' }]);
+      });
+    });
+
+    it('(2) stops on an empty page', function () {
+      this.respond(page(['b', 'a']), page([]));
+
+      return collect(feed.pages({ limit: 2 })).then((pages) => {
+        expect(pages.map(({ results }) => results.length)).to.eql([2, 0]);
+        expect(td.explain(get).callCount).to.be(2);
+      });
+    });
+
+    it('(3) pages ranked feeds by offset', function () {
+      this.respond(page(['b', 'a']), page(['d', 'c']), page(['e'], ''));
+
+      return collect(feed.pages({ limit: 2, ranking: 'popular' })).then(() => {
+        expect(this.qs().map(({ offset }) => offset)).to.eql([undefined, 2, 4]);
+        expect(this.qs().every(({ id_lt: idLt }) => idLt === undefined)).to.be(true);
+      });
+    });
+
+    it('(4) stops when the consumer stops', function () {
+      this.respond(page(['c', 'b']), page(['a'], ''));
+
+      return collect(feed.pages({ limit: 2 }), 1).then((pages) => {
+        expect(pages).to.have.length(1);
+        expect(td.explain(get).callCount).to.be(1);
+      });
+    });
+  });
+
+  describe('#iterate', function () {
+    it('(1) yields the activities of every page', function () {
+      let call = 0;
+      const pages = [
+        { results: [{ id: 'c' }, { id: 'b' }], next: 'next' },
+        { results: [{ id: 'a' }], next: '' },
+      ];
+      td.when(get(), { ignoreExtraArgs: true }).thenDo(() => Promise.resolve(pages[call++]));
+
+      return collect(feed.iterate({ limit: 2 })).then((activities) => {
+        expect(activities.map(({ id }) => id)).to.eql(['c', 'b', 'a']);
+      });
+    });
+
+    it('(2) passes the request options to every page', function () {
+      const signal = {};
+      td.when(get(), { ignoreExtraArgs: true }).thenResolve({ results: [], next: '' });
+
+      return collect(feed.iterate({}, { signal })).then((activities) => {
+        expect(activities).to.eql([]);
+        td.verify(get(td.matchers.contains({ signal })));
+      });
+    });
   });
 
   describe('#subscribe', function () {
@@ -378,6 +548,227 @@ describe('[UNIT] Stream Feed (Common)', function () {
 
       td.verify(subscribeFn(`/${feed.notificationChannel}`, cb));
     });
+
+    it('(4) handlers', function () {
+      td.replace(this.client, 'appId', 1234);
+      const fayeClient = { subscribe: td.function() };
+      td.replace(this.client, 'getFayeClient', () => fayeClient);
+      const onNew = td.function();
+      const onDeleted = td.function();
+
+      feed.subscribe({ onNew, onDeleted });
+
+      const { args } = td.explain(fayeClient.subscribe).calls[0];
+      expect(args[0]).to.be(`/${feed.notificationChannel}`);
+      args[1]({ app_id: 1234, feed: 'user:matthisk', new: [{ id: 'a1' }], deleted: [] });
+      args[1]({ app_id: 1234, feed: 'user:matthisk', new: [], deleted: ['a1'], deleted_foreign_ids: [['f1', 't1']] });
+
+      const added = td.explain(onNew).calls;
+      expect(added).to.have.length(1);
+      expect(added[0].args[0]).to.eql([{ id: 'a1' }]);
+      expect(added[0].args[1].app_id).to.be('1234');
+      const deleted = td.explain(onDeleted).calls;
+      expect(deleted).to.have.length(1);
+      expect(deleted[0].args[0]).to.eql(['a1']);
+      expect(deleted[0].args[1].deleted_foreign_ids).to.eql([['f1', 't1']]);
+    });
+
+    it('(5) onError', function () {
+      td.replace(this.client, 'appId', 1234);
+      const failure = new Error('403::Unauthorized');
+      const fayeClient = { subscribe: td.function() };
+      td.when(fayeClient.subscribe(), { ignoreExtraArgs: true }).thenDo(() => Promise.reject(failure));
+      td.replace(this.client, 'getFayeClient', () => fayeClient);
+      const errors = [];
+
+      const subscription = feed.subscribe({ onError: (error) => errors.push(error) });
+      td.explain(fayeClient.subscribe).calls[0].args[1]({ new: [] });
+
+      return subscription.then(
+        () => expect().fail('should reject'),
+        () => {
+          expect(errors).to.have.length(2);
+          expect(errors[0]).to.be.a(SiteError);
+          expect(errors[1]).to.be(failure);
+        },
+      );
+    });
+  });
+
+  describe('subscription handles', function () {
+    beforeEach(function () {
+      td.replace(this.client, 'appId', 1234);
+      this.fayeSubscriptions = [];
+      const fayeClient = {
+        subscribe: () => {
+          const subscription = td.object(['callback', 'cancel', 'errback', 'then', 'withChannel']);
+          this.fayeSubscriptions.push(subscription);
+          return subscription;
+        },
+      };
+      td.replace(this.client, 'getFayeClient', () => fayeClient);
+      feed = new StreamFeed(this.client, 'user', 'matthisk', 'token');
+      this.channel = `/${feed.notificationChannel}`;
+    });
+
+    it('(1) keep the channel until the last listener is cancelled', function () {
+      const first = feed.subscribe(() => {});
+      const second = new StreamFeed(this.client, 'user', 'matthisk', 'token2').subscribe(() => {});
+
+      expect(this.client.subscriptions[this.channel].fayeSubscriptions).to.have.length(2);
+      expect(this.client.subscriptions[this.channel].token).to.be('token2');
+
+      first.cancel();
+      td.verify(this.fayeSubscriptions[0].cancel());
+      expect(td.explain(this.fayeSubscriptions[1].cancel).callCount).to.be(0);
+      const { fayeSubscriptions } = this.client.subscriptions[this.channel];
+      expect(fayeSubscriptions).to.have.length(1);
+      expect(fayeSubscriptions[0]).to.be(this.fayeSubscriptions[1]);
+
+      second.cancel();
+      td.verify(this.fayeSubscriptions[1].cancel());
+      expect(this.client.subscriptions[this.channel]).to.be(undefined);
+    });
+
+    it('(2) unsubscribe cancels every listener', function () {
+      const handle = feed.subscribe(() => {});
+      feed.subscribe(() => {});
+
+      feed.unsubscribe();
+      this.fayeSubscriptions.forEach((subscription) => td.verify(subscription.cancel()));
+      expect(this.client.subscriptions[this.channel]).to.be(undefined);
+
+      handle.cancel();
+      expect(this.client.subscriptions[this.channel]).to.be(undefined);
+    });
+
+    it('(3) resolve with the subscription', function () {
+      const handle = feed.subscribe(() => {});
+      const onFulfilled = () => {};
+      handle.then(onFulfilled);
+
+      td.verify(this.fayeSubscriptions[0].then(onFulfilled, undefined));
+    });
+
+    it('(4) keep the api of the Faye subscription', function () {
+      const handle = feed.subscribe(() => {});
+      const onSubscribed = () => {};
+      const onFailed = () => {};
+      const onMessage = () => {};
+
+      expect(handle.callback(onSubscribed).errback(onFailed).withChannel(onMessage)).to.be(handle);
+      td.verify(this.fayeSubscriptions[0].callback(onSubscribed, undefined));
+      td.verify(this.fayeSubscriptions[0].errback(onFailed, undefined));
+      td.verify(this.fayeSubscriptions[0].withChannel(onMessage, undefined));
+
+      handle.unsubscribe();
+      td.verify(this.fayeSubscriptions[0].cancel());
+      expect(this.client.subscriptions[this.channel]).to.be(undefined);
+    });
+  });
+
+  describe('subscription recovery', function () {
+    const activity = (id, time) => ({ id, time, actor: 'bob', verb: 'post', object: id });
+    const message = (...activities) => ({ app_id: 1234, feed: 'user:matthisk', new: activities, deleted: [] });
+    const settle = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+    beforeEach(function () {
+      td.replace(this.client, 'appId', 1234);
+      this.listeners = [];
+      const fayeClient = {
+        subscribe: (channel, listener) => {
+          this.listeners.push(listener);
+          return td.object(['cancel', 'then']);
+        },
+      };
+      td.replace(this.client, 'getFayeClient', () => fayeClient);
+      feed = new StreamFeed(this.client, 'user', 'matthisk', 'token');
+      this.messages = [];
+      this.callback = (m) => this.messages.push(m.new.map(({ id }) => id));
+      this.pages = {};
+      td.when(get(), { ignoreExtraArgs: true }).thenDo(({ qs }) =>
+        Promise.resolve({ results: this.pages[qs.id_gt || 'newest'] || [], next: '' }),
+      );
+    });
+
+    it('(1) replays the missed activities oldest first after a reconnect', function () {
+      feed.subscribe(this.callback, { recover: true, lastActivityId: 'a1' });
+      this.listeners[0](message(activity('a2', '2021-01-01T00:00:02')));
+      this.pages.a2 = [activity('a4', '2021-01-01T00:00:04'), activity('a3', '2021-01-01T00:00:03')];
+
+      this.client.send('connected');
+      return settle().then(() => {
+        expect(this.messages).to.eql([['a2'], ['a3', 'a4']]);
+        expect(td.explain(get).calls[0].args[0].qs).to.eql({ id_gt: 'a2', limit: 100 });
+      });
+    });
+
+    it('(2) delivers live messages received during the recovery afterwards', function () {
+      feed.subscribe(this.callback, { recover: { enrich: true }, lastActivityId: 'a1' });
+      this.pages.a1 = [activity('a3', '2021-01-01T00:00:03'), activity('a2', '2021-01-01T00:00:02')];
+
+      this.client.send('connected');
+      this.listeners[0](message(activity('a3', '2021-01-01T00:00:03')));
+      return settle().then(() => {
+        expect(this.messages).to.eql([['a2'], ['a3']]);
+        const { url, qs } = td.explain(get).calls[0].args[0];
+        expect(url).to.be('enrich/feed/user/matthisk/');
+        expect(qs).to.eql({ id_gt: 'a1', limit: 100 });
+      });
+    });
+
+    it('(3) starts from the newest activity of the feed', function () {
+      this.pages.newest = [activity('a1', '2021-01-01T00:00:01')];
+      feed.subscribe(this.callback, { recover: true });
+
+      return settle()
+        .then(() => {
+          this.pages.a1 = [activity('a2', '2021-01-01T00:00:02')];
+          this.client.send('connected');
+          return settle();
+        })
+        .then(() => expect(this.messages).to.eql([['a2']]));
+    });
+
+    it('(4) stops once the listener is cancelled', function () {
+      feed.subscribe(this.callback, { recover: true, lastActivityId: 'a1' }).cancel();
+      expect(this.client.handlers.connected).to.eql([]);
+
+      this.client.send('connected');
+      return settle().then(() => expect(td.explain(get).callCount).to.be(0));
+    });
+
+    it('(5) stops when the feed unsubscribes or the client disconnects', function () {
+      feed.subscribe(this.callback, { recover: true, lastActivityId: 'a1' });
+      feed.unsubscribe();
+      expect(this.client.handlers.connected).to.eql([]);
+
+      feed.subscribe(this.callback, { recover: true, lastActivityId: 'a1' });
+      this.client.disconnectRealtime();
+      expect(this.client.handlers.connected).to.eql([]);
+    });
+
+    it('(6) reads the feed past the response cache', function () {
+      this.client.cache = new ResponseCache();
+
+      return feed
+        .get({ limit: 1 })
+        .then(() => {
+          this.pages.newest = [activity('a1', '2021-01-01T00:00:01')];
+          feed.subscribe(this.callback, { recover: true });
+          return settle();
+        })
+        .then(() => {
+          this.client.send('connected');
+          return settle();
+        })
+        .then(() => {
+          this.pages.a1 = [activity('a2', '2021-01-01T00:00:02')];
+          this.client.send('connected');
+          return settle();
+        })
+        .then(() => expect(this.messages).to.eql([['a2']]));
+    });
   });
 
   describe('#unsubscribe', function () {
@@ -386,7 +777,7 @@ describe('[UNIT] Stream Feed (Common)', function () {
       const subscriptionDbl = td.object(['cancel']);
 
       feed.client.subscriptions[subscriptionId] = {
-        fayeSubscription: subscriptionDbl,
+        fayeSubscriptions: [subscriptionDbl],
       };
 
       feed.unsubscribe();
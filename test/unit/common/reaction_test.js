@@ -0,0 +1,107 @@
+import expect from 'expect.js';
+import td from 'testdouble';
+
+import { StreamReaction, SiteError } from '../../../src';
+import { init, beforeEachFn } from '../utils/hooks';
+
+// read an async iterable into an array, stopping after max items
+function collect(iterable, max = Infinity) {
+  const iterator = iterable[Symbol.asyncIterator]();
+  const items = [];
+  const step = () => {
+    if (items.length >= max) return iterator.return().then(() => items);
+    return iterator.next().then(({ done, value }) => {
+      if (done) return items;
+      items.push(value);
+      return step();
+    });
+  };
+  return step();
+}
+
+const base = 'https://api.stream-io-api.com/api/v1.0/reaction';
+
+describe('[UNIT] Stream Reaction (Common)', function () {
+  let get;
+  let reactions;
+
+  init.call(this);
+  beforeEach(beforeEachFn);
+  beforeEach(function () {
+    reactions = new StreamReaction(this.client, 'token');
+    get = td.function();
+    td.replace(this.client, 'get', get);
+  });
+
+  afterEach(function () {
+    td.reset();
+  });
+
+  describe('#filterNext', function () {
+    it('resolves null after the last page', function () {
+      return reactions.filterNext({ results: [], next: '' }).then((page) => expect(page).to.be(null));
+    });
+
+    it('follows the next url of an activity lookup', function () {
+      const next = `${base}/activity_id/a1/comment/?api_key=key&id_lt=r25&limit=25&location=unspecified&withOwnChildren=false`;
+      reactions.filterNext({ results: [], next }, { activity_id: 'a1', kind: 'comment', with_activity_data: true });
+
+      td.verify(
+        get({
+          url: 'reaction/activity_id/a1/comment/',
+          qs: { id_lt: 'r25', limit: '25', withOwnChildren: 'false', kind: 'comment', with_activity_data: true },
+          token: 'token',
+        }),
+      );
+    });
+
+    it('follows the next url of a child reaction lookup', function () {
+      const next = `${base}/reaction_id/r1/?id_lt=c10&limit=10&with_activity_data=false`;
+      reactions.filterNext({ results: [], next }, { reaction_id: 'r1', with_activity_data: true });
+
+      td.verify(
+        get({
+          url: 'reaction/reaction_id/r1/',
+          qs: { id_lt: 'c10', limit: '10', with_activity_data: 'false' },
+          token: 'token',
+        }),
+      );
+    });
+
+    it('rejects a url that is not a reaction url', function () {
+      return reactions.filterNext({ results: [], next: 'https://example.com/feed/' }).then(
+        () => expect().fail('filterNext should fail'),
+        (e) => expect(e).to.be.a(SiteError),
+      );
+    });
+  });
+
+  describe('#iterate', function () {
+    it('yields the reactions of every page', function () {
+      td.when(get(td.matchers.contains({ url: 'reaction/user_id/bob/like/' }))).thenDo(({ qs }) =>
+        Promise.resolve(
+          qs.id_lt
+            ? { results: [{ id: 'r3' }], next: '' }
+            : { results: [{ id: 'r1' }, { id: 'r2' }], next: `${base}/user_id/bob/like/?id_lt=r2&limit=2` },
+        ),
+      );
+
+      return collect(reactions.iterate({ user_id: 'bob', kind: 'like', limit: 2 })).then((items) => {
+        expect(items.map((r) => r.id)).to.eql(['r1', 'r2', 'r3']);
+        expect(td.explain(get).callCount).to.be(2);
+      });
+    });
+
+    it('stops requesting when the consumer stops', function () {
+      td.when(get(td.matchers.anything())).thenResolve({
+        results: [{ id: 'r1' }, { id: 'r2' }],
+        next: `${base}/activity_id/a1/?id_lt=r2&limit=2`,
+      });
+
+      return collect(reactions.iterate({ activity_id: 'a1', limit: 2 }), 3).then((items) => {
+        expect(items).to.have.length(3);
+        expect(td.explain(get).callCount).to.be(2);
+      });
+    });
+  });
+});
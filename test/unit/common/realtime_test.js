@@ -0,0 +1,44 @@
+import expect from 'expect.js';
+
+import { decodeRealtimeMessage, SiteError } from '../../../src';
+
+describe('[UNIT] Realtime messages', function () {
+  it('decodes a feed update', function () {
+    const activity = { id: 'a1', actor: { id: 'bob', data: { name: 'Bob' } }, verb: 'post', object: 'o1' };
+
+    expect(
+      decodeRealtimeMessage({
+        app_id: 1234,
+        feed: 'user:bob',
+        new: [activity],
+        deleted: [],
+        published_at: '2021-01-01T00:00:00Z',
+        channel: '/site-1234-feed-userbob',
+      }),
+    ).to.eql({
+      app_id: '1234',
+      feed: 'user:bob',
+      new: [activity],
+      deleted: [],
+      deleted_foreign_ids: [],
+      published_at: '2021-01-01T00:00:00Z',
+    });
+  });
+
+  it('defaults missing lists', function () {
+    const message = decodeRealtimeMessage({ app_id: '1', feed: 'user:bob', deleted: ['a1'] });
+
+    expect(message.new).to.eql([]);
+    expect(message.deleted).to.eql(['a1']);
+  });
+
+  it('leaves out a missing app id', function () {
+    expect(decodeRealtimeMessage({ feed: 'user:bob' })).not.to.have.key('app_id');
+  });
+
+  it('throws on a message that is not a feed update', function () {
+    [undefined, { new: [] }, { feed: 'user:bob', new: {} }].forEach((message) => {
+      expect(() => decodeRealtimeMessage(message)).to.throwException((e) => expect(e).to.be.a(SiteError));
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import expect from 'expect.js';
+
+import { StreamClient } from '../../../src/client';
+import { fetchTransport } from '../../../src/transport';
+import * as errors from '../../../src/errors';
+import config from '../utils/config';
+import { init } from '../utils/hooks';
+
+function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+// never settles unless the request is aborted
+function hangingFetch(url, { signal }) {
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  });
+}
+
+describe('[UNIT] Fetch transport', function () {
+  init.call(this);
+
+  beforeEach(function () {
+    this.calls = [];
+    this.fetch = (url, options) => {
+      this.calls.push({ url, options });
+      return Promise.resolve(jsonResponse({ duration: '1ms' }));
+    };
+  });
+
+  it('builds the url and body like axios', function () {
+    const transport = fetchTransport({ fetch: this.fetch });
+
+    return transport({
+      method: 'post',
+      url: 'https://api.stream-io-api.com/api/v1.0/feed/user/1/',
+      params: { api_key: 'key', location: undefined, ids: ['a', 'b'], filter: { name: 'x y' } },
+      data: { actor: 'bob' },
+      headers: { Authorization: 'token', 'stream-auth-type': 'jwt', Empty: undefined },
+    }).then((response) => {
+      const { url, options } = this.calls[0];
+      expect(url).to.be(
+        'https://api.stream-io-api.com/api/v1.0/feed/user/1/?api_key=key&ids[]=a&ids[]=b&filter=%7B%22name%22:%22x+y%22%7D',
+      );
+      expect(options.method).to.be('POST');
+      expect(options.body).to.be('{"actor":"bob"}');
+      expect(options.credentials).to.be('omit');
+      expect(options.headers).to.eql({
+        Authorization: 'token',
+        'stream-auth-type': 'jwt',
+        'Content-Type': 'application/json;charset=utf-8',
+      });
+
+      expect(response.status).to.be(200);
+      expect(response.data).to.eql({ duration: '1ms' });
+      expect(response.headers['content-type']).to.be('application/json');
+    });
+  });
+
+  it('rejects non 2xx responses with the response', function () {
+    const transport = fetchTransport({ fetch: () => Promise.resolve(jsonResponse({ detail: 'nope' }, 404)) });
+
+    return transport({ method: 'get', url: 'https://example.com' }).then(
+      () => expect().fail('should reject'),
+      (error) => {
+        expect(error.message).to.be('Request failed with status code 404');
+        expect(error.response.status).to.be(404);
+        expect(error.response.data).to.eql({ detail: 'nope' });
+      },
+    );
+  });
+
+  it('rejects when the timeout is exceeded', function () {
+    const transport = fetchTransport({ fetch: hangingFetch });
+
+    return transport({ method: 'get', url: 'https://example.com', timeout: 5 }).then(
+      () => expect().fail('should reject'),
+      (error) => {
+        expect(error.message).to.be('timeout of 5ms exceeded');
+        expect(error.code).to.be('ECONNABORTED');
+      },
+    );
+  });
+
+  it('reports upload progress once the upload is done', function () {
+    const transport = fetchTransport({ fetch: this.fetch });
+    const events = [];
+
+    return transport({
+      method: 'post',
+      url: 'https://example.com',
+      data: 'content',
+      onUploadProgress: (event) => events.push(event),
+    }).then(() => {
+      expect(events).to.eql([{ lengthComputable: true, loaded: 7, total: 7 }]);
+    });
+  });
+
+  describe('with StreamClient', function () {
+    function client(fetch, options = {}) {
+      return new StreamClient(config.API_KEY, config.API_SECRET, undefined, {
+        transport: fetchTransport({ fetch }),
+        ...options,
+      });
+    }
+
+    it('sends requests through the transport', function () {
+      return client(this.fetch)
+        .get({ url: 'feed/user/1/', signature: 'token' })
+        .then((data) => {
+          expect(data).to.eql({ duration: '1ms' });
+          expect(this.calls[0].url).to.match(/\/api\/v1.0\/feed\/user\/1\/\?api_key=/);
+          expect(this.calls[0].options.method).to.be('GET');
+        });
+    });
+
+    it('maps api errors to StreamApiError', function () {
+      const fetch = () =>
+        Promise.resolve(jsonResponse({ code: 16, detail: 'missing', exception: 'DoesNotExist' }, 404));
+
+      return client(fetch)
+        .get({ url: 'feed/user/1/', signature: 'token' })
+        .then(
+          () => expect().fail('should reject'),
+          (error) => {
+            expect(error).to.be.a(errors.NotFoundError);
+            expect(error.statusCode).to.be(404);
+          },
+        );
+    });
+
+    it('maps network errors to SiteError', function () {
+      const cause = new TypeError('fetch failed');
+
+      return client(() => Promise.reject(cause))
+        .get({ url: 'feed/user/1/', signature: 'token' })
+        .then(
+          () => expect().fail('should reject'),
+          (error) => {
+            expect(error).to.be.a(errors.SiteError);
+            expect(error.cause).to.be(cause);
+          },
+        );
+    });
+
+    it('applies the client timeout', function () {
+      return client(hangingFetch, { timeout: 5 })
+        .get({ url: 'feed/user/1/', signature: 'token' })
+        .then(
+          () => expect().fail('should reject'),
+          (error) => {
+            expect(error).to.be.a(errors.SiteError);
+            expect(error.message).to.be('timeout of 5ms exceeded');
+          },
+        );
+    });
+
+    it('aborts with AbortError', function () {
+      const controller = new AbortController();
+      const request = client(hangingFetch).get({ url: 'feed/user/1/', signature: 'token', signal: controller.signal });
+      setTimeout(() => controller.abort(), 0);
+
+      return request.then(
+        () => expect().fail('should reject'),
+        (error) => expect(error).to.be.a(errors.AbortError),
+      );
+    });
+  });
+});
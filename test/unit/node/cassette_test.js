@@ -0,0 +1,102 @@
+import expect from 'expect.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { Cassette } from '../../../src/cassette';
+import { connect } from '../../../src/connect';
+import { Emulator } from '../../../src/emulator';
+import { NotFoundError, SiteError } from '../../../src/errors';
+import config from '../utils/config';
+import { init } from '../utils/hooks';
+
+describe('[UNIT] Cassette', function () {
+  init.call(this);
+
+  beforeEach(function () {
+    this.file = path.join(os.tmpdir(), `cassette-${process.pid}.json`);
+    this.client = (transport) => connect(config.API_KEY, config.API_SECRET, config.APP_ID, { transport });
+    // ends with the 404 of a missing user
+    this.scenario = (client) => {
+      const feed = client.feed('user', 'alice');
+      return feed
+        .addActivity({ actor: 'alice', verb: 'post', object: 'hi' })
+        .then(() => feed.get({ limit: 1 }))
+        .then(() => client.user('bob').get())
+        .catch((error) => error);
+    };
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(this.file)) fs.unlinkSync(this.file);
+  });
+
+  it('(1) records requests without credentials', function () {
+    const cassette = new Cassette();
+
+    return this.scenario(this.client(cassette.record(new Emulator().transport))).then(() => {
+      cassette.save(this.file);
+      const saved = fs.readFileSync(this.file, 'utf8');
+      const [add, get, user] = JSON.parse(saved).interactions;
+
+      expect(saved).not.to.contain(JSON.stringify(config.API_KEY));
+      expect(add.request.method).to.be('POST');
+      expect(add.request.url).to.match(/\/v1\.0\/feed\/user\/alice\/$/);
+      expect(add.request.params.api_key).to.be('[scrubbed]');
+      expect(add.request.headers.Authorization).to.be('[scrubbed]');
+      expect(add.request.data).to.eql({ actor: 'alice', verb: 'post', object: 'hi' });
+      expect(add.response.status).to.be(201);
+      expect(get.request.params.limit).to.be(1);
+      expect(user.response.status).to.be(404);
+    });
+  });
+
+  it('(2) replays the recorded responses offline', function () {
+    const cassette = new Cassette();
+
+    return this.scenario(this.client(cassette.record(new Emulator().transport)))
+      .then(() => {
+        cassette.save(this.file);
+        const replayed = Cassette.load(this.file);
+        return this.scenario(this.client(replayed.replay())).then((result) => [replayed, result]);
+      })
+      .then(([replayed, result]) => {
+        expect(result).to.be.a(NotFoundError);
+        expect(replayed.pending()).to.eql([]);
+      });
+  });
+
+  it('(3) serves identical requests in the recorded order', function () {
+    const cassette = new Cassette();
+    const record = this.client(cassette.record(new Emulator().transport)).feed('user', 'alice');
+
+    return record
+      .get()
+      .then(() => record.addActivity({ actor: 'alice', verb: 'post', object: 'hi' }))
+      .then(() => record.get())
+      .then(() => {
+        const replay = this.client(cassette.replay()).feed('user', 'alice');
+        return replay.get().then((first) => replay.get().then((second) => [first, second]));
+      })
+      .then(([first, second]) => {
+        expect(first.results).to.eql([]);
+        expect(second.results.length).to.be(1);
+        expect(cassette.pending().length).to.be(1);
+      });
+  });
+
+  it('(4) rejects the requests missing from the cassette', function () {
+    return this.client(new Cassette().replay())
+      .feed('user', 'alice')
+      .get({ limit: 5 })
+      .then(
+        () => expect().fail('request should fail'),
+        (error) => {
+          expect(error).to.be.a(SiteError);
+          expect(error.message).to.match(
+            /^No response recorded in the cassette for GET .*\/feed\/user\/alice\/\?.*limit=5/,
+          );
+        },
+      );
+  });
+});
@@ -1,9 +1,10 @@
 import expect from 'expect.js';
 import td from 'testdouble';
+import jwt from 'jsonwebtoken';
 import jwtDecode from 'jwt-decode';
 
 import pkg from '../../../package.json';
-import { connect, StreamClient, StreamFeed } from '../../../src';
+import { connect, StreamClient, StreamFeed, AuthenticationError } from '../../../src';
 import { beforeEachFn } from '../utils/hooks';
 
 describe('[UNIT] Stream Client instantiation (Node)', function () {
@@ -477,3 +478,104 @@ describe('[UNIT] Stream Client (Node)', function () {
     });
   });
 });
+
+describe('[UNIT] Stream Client token refresh (Node)', function () {
+  function userToken(exp, userId = 'bob') {
+    return jwt.sign({ user_id: userId, exp: Math.floor(Date.now() / 1000) + exp }, 'secret');
+  }
+
+  beforeEach(function () {
+    this.tokens = [];
+    this.tokenProvider = td.function();
+    td.when(this.tokenProvider()).thenDo(() => {
+      const token = userToken(3600);
+      this.tokens.push(token);
+      return Promise.resolve(token);
+    });
+
+    this.client = new StreamClient('key', userToken(3600), '1', { tokenProvider: this.tokenProvider });
+    this.client.request = td.function();
+    td.when(this.client.request(), { ignoreExtraArgs: true }).thenResolve({ status: 200, data: {} });
+    this.authorizations = () => td.explain(this.client.request).calls.map(({ args }) => args[0].headers.Authorization);
+  });
+
+  it('(1) refreshes the token before it expires', function () {
+    const feed = this.client.feed('user', 'bob');
+    this.client.setUserToken(userToken(10));
+
+    return feed.get().then(() => {
+      expect(td.explain(this.tokenProvider).callCount).to.be(1);
+      expect(this.authorizations()).to.eql([this.tokens[0]]);
+      expect(this.client.userToken).to.be(this.tokens[0]);
+    });
+  });
+
+  it('(2) refreshes the token and retries once after a 401', function () {
+    this.client.request = td.function();
+    td.when(this.client.request(), { ignoreExtraArgs: true }).thenDo((kwargs) =>
+      kwargs.headers.Authorization === this.tokens[0]
+        ? Promise.resolve({ status: 200, data: {} })
+        : Promise.reject(Object.assign(new Error('401'), { response: { status: 401, data: {}, headers: {} } })),
+    );
+
+    return this.client.collections.get('food', 'cheese').then(() => {
+      expect(td.explain(this.tokenProvider).callCount).to.be(1);
+      expect(this.authorizations()).to.have.length(2);
+      expect(this.authorizations()[1]).to.be(this.tokens[0]);
+    });
+  });
+
+  it('(3) gives up when the refreshed token is rejected too', function () {
+    this.client.request = td.function();
+    td.when(this.client.request(), { ignoreExtraArgs: true }).thenDo(() =>
+      Promise.reject(Object.assign(new Error('401'), { response: { status: 401, data: {}, headers: {} } })),
+    );
+
+    return this.client
+      .user('bob')
+      .get()
+      .then(
+        () => expect().fail('Expected to fail'),
+        (err) => {
+          expect(err).to.be.an(AuthenticationError);
+          expect(td.explain(this.tokenProvider).callCount).to.be(1);
+          expect(td.explain(this.client.request).callCount).to.be(2);
+        },
+      );
+  });
+
+  it('(4) shares one refresh between concurrent requests', function () {
+    this.client.setUserToken(userToken(10));
+
+    return Promise.all([this.client.reactions.get('id'), this.client.files.delete('url')]).then(() => {
+      expect(td.explain(this.tokenProvider).callCount).to.be(1);
+      expect(this.authorizations()).to.eql([this.tokens[0], this.tokens[0]]);
+    });
+  });
+
+  it('(5) keeps explicit tokens', function () {
+    const readOnly = userToken(10, 'reader');
+
+    return this.client
+      .feed('user', 'bob', readOnly)
+      .get()
+      .then(() => {
+        expect(td.explain(this.tokenProvider).callCount).to.be(0);
+        expect(this.authorizations()).to.eql([readOnly]);
+      });
+  });
+
+  it('(6) rejects tokens of another user', function () {
+    expect(() => this.client.setUserToken(userToken(3600, 'alice'))).to.throwError(TypeError);
+  });
+
+  it('(7) forgets the oldest replaced tokens', function () {
+    const tokens = [];
+    for (let i = 0; i < 150; i++) tokens.push(userToken(3600 + i));
+    tokens.forEach((token) => this.client.setUserToken(token));
+
+    expect(Object.keys(this.client._replacedTokens)).to.have.length(100);
+    expect(this.client._currentToken(tokens[48])).to.be(tokens[48]);
+    expect(this.client._currentToken(tokens[49])).to.be(tokens[149]);
+  });
+});
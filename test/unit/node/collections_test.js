@@ -1,7 +1,9 @@
 import expect from 'expect.js';
 import td from 'testdouble';
 
-import { StreamClient, SiteError } from '../../../src';
+import { connect, ConflictError, StreamClient, SiteError, ValidationError } from '../../../src';
+import { Emulator } from '../../../src/emulator';
+import config from '../utils/config';
 import { beforeEachFn } from '../utils/hooks';
 
 describe('[UNIT] Stream Collections (node)', function () {
@@ -111,6 +113,39 @@ describe('[UNIT] Stream Collections (node)', function () {
     });
   });
 
+  describe('#upsertMany', function () {
+    it('should send one post request for all the collections', function () {
+      const fakedJWT = 'Faked JWT';
+      const products = [
+        { id: 'p1', name: 'cheese' },
+        { id: 'p2', name: 'ham' },
+      ];
+      const brand = { id: 'b1', name: 'Brie' };
+
+      this.client._collectionsToken = fakedJWT;
+      this.client.collections.upsertMany({ products, brands: brand });
+
+      td.verify(
+        post({
+          url: 'collections/',
+          serviceName: 'api',
+          body: { data: { products, brands: [brand] } },
+          token: fakedJWT,
+        }),
+      );
+    });
+
+    it('should raise SiteErrors without secret', function () {
+      const client = new StreamClient('stub-key', null, 9498);
+
+      expect(function () {
+        client.collections.upsertMany({ products: [] });
+      }).to.throwException(function (e) {
+        expect(e).to.be.a(SiteError);
+      });
+    });
+  });
+
   describe('#select', function () {
     it('should send get request correctly with single id', function () {
       const fakedJWT = 'Faked JWT';
@@ -202,4 +237,227 @@ describe('[UNIT] Stream Collections (node)', function () {
       });
     });
   });
+
+  describe('#chunked', function () {
+    const products = (n) => Array.from({ length: n }, (_, i) => ({ id: `p${i}`, name: `product ${i}` }));
+
+    it('(1) upserts in chunks and merges the entries', function () {
+      td.when(post(td.matchers.anything())).thenDo(({ body }) => Promise.resolve({ data: body.data }));
+
+      return this.client.collections.upsertChunked('product', products(2500)).then((response) => {
+        const sizes = td.explain(post).calls.map(({ args }) => args[0].body.data.product.length);
+        expect(sizes).to.eql([1000, 1000, 500]);
+        expect(response.data.product.length).to.be(2500);
+        expect(response.data.product[2499].id).to.be('p2499');
+        expect(response.failures).to.eql([]);
+      });
+    });
+
+    it('(2) reports the failing chunks and goes on', function () {
+      const error = new Error('rate limited');
+      td.when(post(td.matchers.anything())).thenDo(({ body }) =>
+        body.data.product[0].id === 'p2' ? Promise.reject(error) : Promise.resolve({ data: body.data }),
+      );
+
+      return this.client.collections.upsertChunked('product', products(5), { chunkSize: 2 }).then((response) => {
+        expect(response.data.product.map(({ id }) => id)).to.eql(['p0', 'p1', 'p4']);
+        expect(response.failures).to.eql([{ error, items: products(5).slice(2, 4) }]);
+      });
+    });
+
+    it('(3) selects ids in chunks of 100', function () {
+      const ids = products(250).map(({ id }) => id);
+      td.when(get(td.matchers.anything())).thenDo(({ qs }) =>
+        Promise.resolve({
+          response: { data: qs.foreign_ids.split(',').map((foreignId) => ({ id: foreignId.split(':')[1] })) },
+        }),
+      );
+
+      return this.client.collections.selectChunked('product', ids, { concurrency: 3 }).then((response) => {
+        expect(td.explain(get).callCount).to.be(3);
+        expect(response.response.data.map(({ id }) => id)).to.eql(ids);
+      });
+    });
+
+    it('(4) keeps at most concurrency requests in flight', function () {
+      let inFlight = 0;
+      let maxInFlight = 0;
+      td.when(del(td.matchers.anything())).thenDo(() => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        return new Promise((resolve) => setTimeout(resolve, 1)).then(() => {
+          inFlight--;
+          return {};
+        });
+      });
+
+      const ids = products(10).map(({ id }) => id);
+      return this.client.collections
+        .deleteManyChunked('product', ids, { chunkSize: 1, concurrency: 3 })
+        .then((response) => {
+          expect(maxInFlight).to.be(3);
+          expect(response.deleted).to.eql(ids);
+          expect(response.failures).to.eql([]);
+        });
+    });
+
+    it('(5) can only be used server-side', function () {
+      const client = new StreamClient('stub-key', null, 9498);
+
+      ['upsertChunked', 'selectChunked', 'deleteManyChunked'].forEach((method) => {
+        expect(() => client.collections[method]('product', [])).to.throwException((e) => {
+          expect(e).to.be.a(SiteError);
+        });
+      });
+    });
+
+    it('(6) reports the entries of the failing chunks without ids', function () {
+      const error = new Error('rate limited');
+      const entries = [{ name: 'cheese' }, { name: 'bread' }];
+      td.when(post(td.matchers.anything())).thenReject(error);
+
+      return this.client.collections.upsertChunked('product', entries).then((response) => {
+        expect(response.failures).to.eql([{ error, items: entries }]);
+      });
+    });
+  });
+
+  describe('#setValidator', function () {
+    beforeEach(function () {
+      this.client.collections.setValidator('product', (data) => {
+        if (typeof data.price !== 'number') throw new Error('price should be a number');
+        return { name: data.name, price: data.price };
+      });
+    });
+
+    it('(1) sends the data returned by the validator', function () {
+      td.when(post(td.matchers.anything())).thenResolve({ id: 'p1', collection: 'product', data: {} });
+
+      return this.client.collections.add('product', 'p1', { name: 'cheese', price: 1, extra: true }).then(() => {
+        const [{ body }] = td.explain(post).calls[0].args;
+        expect(body.data).to.eql({ name: 'cheese', price: 1 });
+      });
+    });
+
+    it('(2) throws a ValidationError without sending invalid data', function () {
+      const put = td.function();
+      td.replace(this.client, 'put', put);
+
+      return this.client.collections.update('product', 'p1', { name: 'cheese' }).then(
+        () => expect().fail('update should fail'),
+        (error) => {
+          expect(error).to.be.a(ValidationError);
+          expect(error.statusCode).to.be(400);
+          expect(error.exceptionFields).to.eql({
+            data: ['Invalid data for collection product: price should be a number'],
+          });
+          expect(td.explain(put).callCount).to.be(0);
+        },
+      );
+    });
+
+    it('(3) validates the upserted entries of the collection', function () {
+      const brand = { id: 'b1', country: 'FR' };
+      const product = { id: 'p1', user_id: 'alice', name: 'cheese', price: 1, extra: true };
+      this.client.collections.upsertMany({ product, brand });
+
+      const [{ body }] = td.explain(post).calls[0].args;
+      expect(body.data.product).to.eql([{ id: 'p1', user_id: 'alice', name: 'cheese', price: 1 }]);
+      expect(body.data.brand).to.eql([brand]);
+    });
+
+    it('(4) rejects the upsert of invalid entries', function () {
+      return this.client.collections.upsert('product', { id: 'p2', name: 'ham', data: { price: 2 } }).then(
+        () => expect().fail('upsert should fail'),
+        (error) => {
+          expect(error).to.be.a(ValidationError);
+          expect(td.explain(post).callCount).to.be(0);
+        },
+      );
+    });
+
+    it('(5) null removes the validator', function () {
+      this.client.collections.setValidator('product', null);
+      this.client.collections.upsert('product', { id: 'p2', name: 'ham' });
+
+      expect(td.explain(post).callCount).to.be(1);
+    });
+
+    it('(6) upserts valid entries of the collection', function () {
+      td.when(post(td.matchers.anything())).thenDo(({ body }) => Promise.resolve({ data: body.data }));
+
+      return this.client.collections.upsert('product', [{ id: 'p1', name: 'cheese', price: 3 }]).then(({ data }) => {
+        expect(data.product).to.eql([{ id: 'p1', name: 'cheese', price: 3 }]);
+      });
+    });
+  });
+
+  describe('#patch', function () {
+    beforeEach(function () {
+      const { transport } = new Emulator();
+      const client = () => connect(config.API_KEY, config.API_SECRET, config.APP_ID, { transport });
+      this.alice = client();
+      this.bob = client();
+      return this.alice.collections.add('food', 'cheese', { name: 'cheese', price: 10, tags: ['fresh'] });
+    });
+
+    it('(1) tracks the changes since the entry was loaded', function () {
+      return this.alice.collections.get('food', 'cheese').then((entry) => {
+        expect(entry.changes()).to.eql({});
+        entry.data.price = 12;
+        entry.data.tags.push('soft');
+        delete entry.data.name;
+        expect(entry.changes()).to.eql({ price: 12, tags: ['fresh', 'soft'], name: undefined });
+      });
+    });
+
+    it('(2) applies the changed keys on the stored data', function () {
+      return Promise.all([this.alice.collections.get('food', 'cheese'), this.bob.collections.get('food', 'cheese')])
+        .then(([alices, bobs]) => {
+          alices.data.price = 12;
+          return alices.patch().then(() => {
+            expect(alices.changes()).to.eql({});
+            return bobs.get();
+          });
+        })
+        .then((entry) => {
+          entry.data.name = 'brie';
+          return entry.patch();
+        })
+        .then(() => this.alice.collections.get('food', 'cheese'))
+        .then((entry) => expect(entry.data).to.eql({ name: 'brie', price: 12, tags: ['fresh'] }));
+    });
+
+    it('(3) throws a ConflictError when the entry was updated since it was loaded', function () {
+      const put = td.function();
+
+      return Promise.all([this.alice.collections.get('food', 'cheese'), this.bob.collections.get('food', 'cheese')])
+        .then(([alices, bobs]) => {
+          alices.data.price = 12;
+          bobs.data.name = 'brie';
+          return alices.patch().then(() => {
+            td.replace(this.bob, 'put', put);
+            return bobs.patch();
+          });
+        })
+        .then(
+          () => expect().fail('patch should fail'),
+          (error) => {
+            expect(error).to.be.a(ConflictError);
+            expect(error.statusCode).to.be(409);
+            expect(error.message).to.match(/^Entry cheese of collection food was updated at /);
+            expect(td.explain(put).callCount).to.be(0);
+          },
+        );
+    });
+
+    it('(4) sends nothing without changes', function () {
+      const entry = this.client.collections.entry('food', 'cheese', { name: 'cheese' });
+
+      return entry.patch().then((patched) => {
+        expect(patched).to.be(entry);
+        expect(td.explain(get).callCount).to.be(0);
+      });
+    });
+  });
 });
@@ -0,0 +1,221 @@
+import expect from 'expect.js';
+
+import { connect } from '../../../src/connect';
+import { Emulator } from '../../../src/emulator';
+import * as errors from '../../../src/errors';
+import config from '../utils/config';
+import { init } from '../utils/hooks';
+
+function expectError(promise, ErrorClass, status) {
+  return promise.then(
+    () => expect().fail('request should fail'),
+    (error) => {
+      expect(error).to.be.a(ErrorClass);
+      expect(error.response.status).to.be(status);
+    },
+  );
+}
+
+describe('[UNIT] Emulator', function () {
+  init.call(this);
+
+  beforeEach(function () {
+    this.emulator = new Emulator();
+    const options = { transport: this.emulator.transport };
+    this.server = connect(config.API_KEY, config.API_SECRET, config.APP_ID, options);
+    this.client = (userId) => connect(config.API_KEY, this.server.createUserToken(userId), config.APP_ID, options);
+    this.alice = this.client('alice');
+    this.bob = this.client('bob');
+  });
+
+  it('(1) fans activities out to followers', function () {
+    const timeline = this.bob.feed('timeline');
+
+    return this.alice
+      .feed('user')
+      .addActivity({ verb: 'post', object: 'first' })
+      .then(() => timeline.follow('user', 'alice'))
+      .then(() => this.alice.feed('user').addActivity({ verb: 'post', object: 'second' }))
+      .then(() => timeline.get({ enrich: false }))
+      .then(({ results }) => {
+        expect(results.map((activity) => activity.object)).to.eql(['second', 'first']);
+        expect(results[0].origin).to.be('user:alice');
+        expect(results[0].actor).to.be('SU:alice');
+        return timeline.unfollow('user', 'alice');
+      })
+      .then(() => timeline.get({ enrich: false }))
+      .then(({ results }) => expect(results).to.eql([]));
+  });
+
+  it('(2) paginates feeds with next', function () {
+    const feed = this.server.feed('user', 'alice');
+    const activities = [1, 2, 3].map((i) => ({ actor: 'alice', verb: 'post', object: `${i}` }));
+
+    return feed
+      .addActivities(activities)
+      .then(() => feed.get({ limit: 2 }))
+      .then((page) => {
+        expect(page.results.map((activity) => activity.object)).to.eql(['3', '2']);
+        expect(page.next).to.match(/^\/api\/v1\.0\/feed\/user\/alice\/\?.*id_lt=/);
+        return feed.get({ limit: 2, id_lt: page.results[1].id });
+      })
+      .then((page) => {
+        expect(page.results.map((activity) => activity.object)).to.eql(['1']);
+        expect(page.next).to.be('');
+      });
+  });
+
+  it('(3) enriches references and reports missing ones', function () {
+    return this.alice
+      .setUser({ name: 'Alice' })
+      .then(() => this.alice.collections.add('food', 'cheese', { name: 'cheese' }))
+      .then((cheese) => this.alice.feed('user').addActivity({ verb: 'eat', object: cheese, target: 'SO:food:ham' }))
+      .then(() => this.alice.feed('user').get())
+      .then(({ results: [activity] }) => {
+        expect(activity.actor.data).to.eql({ name: 'Alice' });
+        expect(activity.object.foreign_id).to.be('food:cheese');
+        expect(activity.target).to.eql({
+          collection: 'food',
+          id: 'ham',
+          error: 'ReferenceNotFound',
+          reference: 'SO:food:ham',
+          reference_type: 'object',
+        });
+      });
+  });
+
+  it('(4) answers with the errors of the API', function () {
+    return Promise.all([
+      expectError(this.alice.user('bob').update({ name: 'Bob' }), errors.AuthenticationError, 403),
+      expectError(this.alice.user('alice').get(), errors.NotFoundError, 404),
+      expectError(this.alice.feed('timeline', 'bob').get(), errors.AuthenticationError, 403),
+      expectError(this.alice.feed('user').addActivity({ verb: 'post' }), errors.ValidationError, 400),
+      expectError(this.alice.collections.add('food', null, {}), errors.ValidationError, 400),
+    ]).then(() =>
+      this.alice.collections
+        .add('food', 'cheese', { name: 'cheese' })
+        .then(() => expectError(this.alice.collections.add('food', 'cheese', { name: 'x' }), errors.ConflictError, 409))
+        .then(() => expectError(this.bob.collections.delete('food', 'cheese'), errors.AuthenticationError, 403)),
+    );
+  });
+
+  it('(5) moves updated_at on every update', function () {
+    const user = this.alice.currentUser;
+
+    return user
+      .create({ name: 'Alice' })
+      .then(() => user.full.updated_at)
+      .then((createdAt) =>
+        user.update({ name: 'Alice A.' }).then(() => {
+          expect(user.full.updated_at).not.to.be(createdAt);
+          expect(user.full.created_at).to.be(createdAt);
+        }),
+      );
+  });
+
+  it('(6) counts and nests reactions', function () {
+    let like;
+
+    return this.alice
+      .feed('user')
+      .addActivity({ verb: 'post', object: 'hi' })
+      .then((activity) => this.bob.reactions.add('like', activity, {}, { targetFeeds: ['notification:alice'] }))
+      .then((reaction) => {
+        like = reaction;
+        return this.alice.reactions.addChild('thanks', like);
+      })
+      .then(() => this.alice.feed('user').get({ reactions: { counts: true, recent: true } }))
+      .then(({ results: [activity] }) => {
+        expect(activity.reaction_counts).to.eql({ like: 1 });
+        expect(activity.latest_reactions.like[0].id).to.be(like.id);
+        expect(activity.latest_reactions.like[0].children_counts).to.eql({ thanks: 1 });
+        expect(activity.latest_reactions_extra).to.eql({ like: { next: '' } });
+        return this.alice.feed('notification').get({ enrich: false });
+      })
+      .then(({ results: [activity] }) => {
+        expect(activity.verb).to.be('like');
+        expect(activity.foreign_id).to.be(`reaction:${like.id}`);
+        return this.bob.reactions.delete(like.id);
+      })
+      .then(() => this.alice.feed('notification').get())
+      .then(({ results }) => expect(results).to.eql([]));
+  });
+
+  it('(7) filters reactions page by page', function () {
+    let activityId;
+
+    return this.alice
+      .feed('user')
+      .addActivity({ verb: 'post', object: 'hi' })
+      .then(({ id }) => {
+        activityId = id;
+        return [1, 2, 3].reduce(
+          (previous, i) => previous.then(() => this.bob.reactions.add('comment', id, { i })),
+          Promise.resolve(),
+        );
+      })
+      .then(() => this.alice.reactions.filter({ activity_id: activityId, kind: 'comment', limit: 2 }))
+      .then((page) => {
+        expect(page.results.map((reaction) => reaction.data.i)).to.eql([3, 2]);
+        return this.alice.reactions.filterNext(page);
+      })
+      .then((page) => {
+        expect(page.results.map((reaction) => reaction.data.i)).to.eql([1]);
+        expect(page.next).to.be('');
+      });
+  });
+
+  it('(8) reports follow stats and counts', function () {
+    return Promise.all([
+      this.alice.setUser({ name: 'Alice' }),
+      this.bob.feed('timeline').follow('user', 'alice'),
+      this.bob.feed('notification').follow('user', 'alice'),
+    ])
+      .then(() => this.alice.feed('user').followStats({ followerSlugs: ['timeline'] }))
+      .then(({ results }) => {
+        expect(results.followers).to.eql({ count: 1, feed: 'user:alice' });
+        expect(results.following).to.eql({ count: 0, feed: 'user:alice' });
+        return this.bob.user('alice').profile();
+      })
+      .then((user) => {
+        expect(user.full.followers_count).to.be(1);
+        expect(user.full.following_count).to.be(0);
+      });
+  });
+
+  it('(9) applies partial updates', function () {
+    return this.server
+      .feed('user', 'alice')
+      .addActivity({ actor: 'alice', verb: 'post', object: 'hi', foreign_id: 'post:1', time: '2020-01-01T00:00:00' })
+      .then(() =>
+        this.server.activityPartialUpdate({
+          foreign_id: 'post:1',
+          time: '2020-01-01T00:00:00',
+          set: { 'meta.views': 2 },
+          unset: ['object'],
+        }),
+      )
+      .then((activity) => {
+        expect(activity.meta).to.eql({ views: 2 });
+        expect(activity.time).to.be('2020-01-01T00:00:00.000000');
+        expect(activity).not.to.have.key('object');
+      });
+  });
+
+  it('(10) reset forgets everything', function () {
+    return this.alice
+      .setUser({ name: 'Alice' })
+      .then(() => this.emulator.reset())
+      .then(() => expectError(this.alice.user('alice').get(), errors.NotFoundError, 404));
+  });
+
+  it('(11) upserts the data fields next to the id of the entries', function () {
+    return this.server.collections
+      .upsertMany({ food: [{ id: 'cheese', name: 'cheese', price: 3 }], drink: { id: 'wine', name: 'wine' } })
+      .then(({ data }) => {
+        expect(data.food).to.eql([{ id: 'cheese', data: { name: 'cheese', price: 3 } }]);
+        return this.server.collections.get('drink', 'wine');
+      })
+      .then((entry) => expect(entry.data).to.eql({ name: 'wine' }));
+  });
+});
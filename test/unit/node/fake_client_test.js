@@ -0,0 +1,96 @@
+import expect from 'expect.js';
+
+import { createFakeClient } from '../../../src/fake_client';
+import { NotFoundError, SiteError } from '../../../src/errors';
+import { init } from '../utils/hooks';
+
+describe('[UNIT] Fake client', function () {
+  init.call(this);
+
+  beforeEach(function () {
+    this.fake = createFakeClient();
+  });
+
+  it('(1) records calls and answers them with the emulator', function () {
+    const feed = this.fake.feed('user', 'alice');
+    const activity = { actor: 'alice', verb: 'post', object: 'hi' };
+
+    return feed
+      .addActivity(activity)
+      .then(() => this.fake.collections.add('food', 'cheese', { name: 'cheese' }))
+      .then(() => feed.get())
+      .then(({ results }) => {
+        expect(results.map(({ object }) => object)).to.eql(['hi']);
+        expect(this.fake.calls('feed.addActivity')).to.eql([
+          { args: [activity], method: 'feed.addActivity', target: 'user:alice' },
+        ]);
+        expect(this.fake.calls().map(({ method }) => method)).to.eql([
+          'feed.addActivity',
+          'collections.add',
+          'feed.get',
+        ]);
+      });
+  });
+
+  it('(2) answers with canned responses', function () {
+    this.fake.respond('reactions.add', { id: 'like' });
+    this.fake.respond('user.get', ({ target }) => ({ id: target }));
+    this.fake.fail('collections.get', new SiteError('unavailable'));
+    this.fake.respond('collections.upsertChunked', { data: { food: [] }, failures: [] });
+
+    return this.fake.reactions
+      .add('like', 'activity')
+      .then((reaction) => expect(reaction).to.eql({ id: 'like' }))
+      .then(() => this.fake.user('bob').get())
+      .then((user) => expect(user).to.eql({ id: 'bob' }))
+      .then(() => this.fake.collections.get('food', 'cheese'))
+      .then(
+        () => expect().fail('call should fail'),
+        (error) => expect(error).to.be.a(SiteError),
+      )
+      .then(() => this.fake.collections.upsertChunked('food', [{ id: 'cheese', name: 'cheese' }]))
+      .then((response) => {
+        expect(response.failures).to.eql([]);
+        expect(this.fake.calls('collections.upsertChunked').length).to.be(1);
+        expect(this.fake.calls('reactions.add')[0].args).to.eql(['like', 'activity']);
+      });
+  });
+
+  it('(3) records the calls made by the code under test only', function () {
+    const fake = createFakeClient({ userId: 'alice' });
+
+    return fake
+      .setUser({ name: 'Alice' })
+      .then(() => fake.currentUser.update({ name: 'Alice A.' }))
+      .then(() => {
+        expect(fake.calls().map(({ method }) => method)).to.eql(['setUser', 'user.update']);
+        expect(fake.calls('user.update')[0].target).to.be('alice');
+        expect(fake.currentUser.data).to.eql({ name: 'Alice A.' });
+      });
+  });
+
+  it('(4) does not record the calls made after an await of a recorded method', function () {
+    const activities = [];
+    for (let i = 0; i < 150; i++) activities.push({ actor: 'SU:alice', verb: 'eat', object: `SO:food:${i}` });
+
+    return Promise.all([this.fake.resolveReferences(activities), this.fake.feed('user', 'bob').get()]).then(() => {
+      expect(this.fake.calls().map(({ method }) => method)).to.eql(['resolveReferences', 'feed.get']);
+    });
+  });
+
+  it('(5) reset forgets calls and responses', function () {
+    this.fake.respond('og', { title: 'cheese' });
+
+    return this.fake
+      .og('https://cheese.com')
+      .then(() => this.fake.reset())
+      .then(() => {
+        expect(this.fake.calls()).to.eql([]);
+        return this.fake.og('https://cheese.com');
+      })
+      .then(
+        () => expect().fail('call should reach the emulator'),
+        (error) => expect(error).to.be.a(NotFoundError),
+      );
+  });
+});
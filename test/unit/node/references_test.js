@@ -0,0 +1,119 @@
+import expect from 'expect.js';
+import td from 'testdouble';
+
+import { connect } from '../../../src/connect';
+import { Emulator } from '../../../src/emulator';
+import { SiteError } from '../../../src/errors';
+import config from '../utils/config';
+import { init } from '../utils/hooks';
+
+describe('[UNIT] Resolve references', function () {
+  init.call(this);
+
+  beforeEach(function () {
+    this.client = connect(config.API_KEY, config.API_SECRET, config.APP_ID, { transport: new Emulator().transport });
+    const feed = this.client.feed('user', 'alice');
+
+    return Promise.all([
+      this.client.user('alice').create({ name: 'Alice' }),
+      this.client.collections.add('food', 'cheese', { name: 'cheese' }),
+      this.client.collections.add('food', 'bread', { name: 'bread' }),
+    ])
+      .then(([alice, cheese, bread]) =>
+        feed.addActivities([
+          { actor: alice.ref(), verb: 'eat', object: cheese.ref(), with: [bread.ref(), 'SO:food:ham'] },
+          { actor: 'SU:bob', verb: 'eat', object: bread.ref(), note: 'plain text' },
+        ]),
+      )
+      .then(() => feed.get())
+      .then(({ results }) => {
+        this.activities = results;
+      });
+  });
+
+  afterEach(function () {
+    td.reset();
+  });
+
+  it('(1) replaces the references with the entries and users', function () {
+    return this.client.resolveReferences(this.activities).then(([bob, alice]) => {
+      expect(alice.actor.id).to.be('alice');
+      expect(alice.actor.data).to.eql({ name: 'Alice' });
+      expect(alice.object.data).to.eql({ name: 'cheese' });
+      expect(alice.object.foreign_id).to.be('food:cheese');
+      expect(alice.with[0].data).to.eql({ name: 'bread' });
+      expect(bob.object.id).to.be('bread');
+      expect(bob.note).to.be('plain text');
+    });
+  });
+
+  it('(2) leaves the references to missing entries and users', function () {
+    return this.client.resolveReferences(this.activities).then(([bob, alice]) => {
+      expect(bob.actor).to.be('SU:bob');
+      expect(alice.with[1]).to.be('SO:food:ham');
+      expect(this.activities[1].actor).to.be('SU:alice');
+    });
+  });
+
+  it('(3) selects the entries of a collection in one request', function () {
+    const get = td.replace(this.client, 'get', td.function());
+    td.when(get(td.matchers.contains({ url: 'collections/' }))).thenResolve({ response: { data: [] } });
+    td.when(get(td.matchers.contains({ url: 'user/alice/' }))).thenResolve({ id: 'alice', data: {} });
+    td.when(get(td.matchers.contains({ url: 'user/bob/' }))).thenResolve({ id: 'bob', data: {} });
+
+    return this.client.resolveReferences(this.activities).then(() => {
+      const urls = td.explain(get).calls.map(({ args }) => args[0].url);
+      expect(urls.filter((url) => url === 'collections/').length).to.be(1);
+      expect(urls.length).to.be(3);
+      expect(td.explain(get).calls[0].args[0].qs.foreign_ids.split(',').sort()).to.eql([
+        'food:bread',
+        'food:cheese',
+        'food:ham',
+      ]);
+    });
+  });
+
+  it('(4) leaves the fields the enrich endpoint does not resolve', function () {
+    const activity = {
+      actor: 'SU:alice',
+      verb: 'SU:alice',
+      object: 'SO:food:cheese',
+      to: ['SU:alice'],
+      id: 'SU:alice',
+    };
+
+    return this.client.resolveReferences([activity]).then(([resolved]) => {
+      expect(resolved.actor.id).to.be('alice');
+      expect(resolved.object.id).to.be('cheese');
+      expect(resolved.verb).to.be('SU:alice');
+      expect(resolved.to).to.eql(['SU:alice']);
+      expect(resolved.id).to.be('SU:alice');
+    });
+  });
+
+  it('(5) reads 10 users at a time', function () {
+    const { get } = this.client;
+    let inFlight = 0;
+    let maxInFlight = 0;
+    td.replace(this.client, 'get', (kwargs) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      return get.call(this.client, kwargs).finally(() => {
+        inFlight--;
+      });
+    });
+    const activities = [];
+    for (let i = 0; i < 50; i++) activities.push({ actor: `SU:user${i}`, verb: 'eat', object: 'SO:food:cheese' });
+
+    // the users and the select of the food entries
+    return this.client.resolveReferences(activities).then(() => expect(maxInFlight).to.be(10 + 1));
+  });
+
+  it('(6) can only be used server-side', function () {
+    const client = connect(config.API_KEY, null, config.APP_ID);
+
+    expect(() => client.resolveReferences(this.activities)).to.throwException((e) => {
+      expect(e).to.be.a(SiteError);
+    });
+  });
+});
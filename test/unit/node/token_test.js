@@ -1,6 +1,7 @@
 import expect from 'expect.js';
+import jwtDecode from 'jwt-decode';
 
-import { JWTScopeToken } from '../../../src';
+import { JWTScopeToken, JWTUserSessionToken, TokenError } from '../../../src';
 import { beforeEachFn } from '../utils/hooks';
 
 describe('[UNIT] Creating tokens', function () {
@@ -33,4 +34,81 @@ describe('[UNIT] Creating tokens', function () {
 
     expect(token).to.be(expected);
   });
+
+  it('#getReadOnlyToken with expiresIn and claims', function () {
+    const now = Math.floor(Date.now() / 1000);
+    const token = this.client.getReadOnlyToken('user', 'test', { expiresIn: 60, claims: { team: 'blue' } });
+
+    const body = jwtDecode(token);
+    expect(body.exp).to.be.within(now + 59, now + 61);
+    expect(body.team).to.be('blue');
+    expect(body.feed_id).to.be('usertest');
+    expect(body.action).to.be('read');
+  });
+
+  it('#getReadWriteToken with exp and nbf', function () {
+    const token = this.client.getReadWriteToken('user', 'test', { exp: 2000000000, nbf: 1000000000 });
+
+    expect(jwtDecode(token)).to.eql({
+      resource: '*',
+      action: '*',
+      feed_id: 'usertest',
+      exp: 2000000000,
+      nbf: 1000000000,
+    });
+  });
+
+  it('JWTScopeToken claims do not override the scope', function () {
+    const token = JWTScopeToken('secret', 'feed', 'read', { feedId: 'user1', claims: { action: '*', team: 'blue' } });
+
+    expect(jwtDecode(token)).to.eql({ team: 'blue', resource: 'feed', action: 'read', feed_id: 'user1' });
+  });
+
+  it('JWTScopeToken rejects exp with expiresIn', function () {
+    expect(() => JWTScopeToken('secret', '*', '*', { exp: 2000000000, expiresIn: 60 })).to.throwError(TypeError);
+  });
+
+  it('JWTUserSessionToken with exp and claims', function () {
+    const token = JWTUserSessionToken('secret', 'bob', { a: 'b' }, { exp: 2000000000, claims: { team: 'blue' } });
+
+    expect(jwtDecode(token)).to.eql({ team: 'blue', user_id: 'bob', a: 'b', exp: 2000000000 });
+  });
+
+  describe('#verifyToken', function () {
+    it('decodes valid tokens', function () {
+      const token = this.client.createUserToken('bob', { a: 'b' }, { expiresIn: '1h' });
+
+      const body = this.client.verifyToken(token);
+      expect(body.user_id).to.be('bob');
+      expect(body.a).to.be('b');
+    });
+
+    it('rejects tokens signed with another secret', function () {
+      const token = JWTUserSessionToken('other secret', 'bob');
+
+      expect(() => this.client.verifyToken(token)).to.throwError((e) => {
+        expect(e).to.be.a(TokenError);
+        expect(e.message).to.be('invalid signature');
+      });
+    });
+
+    it('rejects expired tokens', function () {
+      const token = this.client.createUserToken('bob', {}, { exp: Math.floor(Date.now() / 1000) - 10 });
+
+      expect(() => this.client.verifyToken(token)).to.throwError((e) => {
+        expect(e).to.be.a(TokenError);
+        expect(e.message).to.be('jwt expired');
+      });
+      expect(this.client.verifyToken(token, { clockTolerance: 60 }).user_id).to.be('bob');
+    });
+
+    it('rejects tokens not valid yet', function () {
+      const token = this.client.createUserToken('bob', {}, { nbf: Math.floor(Date.now() / 1000) + 60 });
+
+      expect(() => this.client.verifyToken(token)).to.throwError((e) => {
+        expect(e).to.be.a(TokenError);
+        expect(e.message).to.be('jwt not active');
+      });
+    });
+  });
 });
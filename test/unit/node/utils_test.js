@@ -1,5 +1,6 @@
 import FormData from 'form-data';
 import expect from 'expect.js';
+import { getEventListeners } from 'events';
 import fs from 'fs';
 
 import utils from '../../../src/utils';
@@ -37,4 +38,17 @@ describe('[UNIT] Utility functions (node)', function () {
       expect(headers['content-type']).to.contain('boundary=');
     });
   });
+
+  describe('cancelTokenFromSignal', function () {
+    it('release removes the abort listener', function () {
+      const controller = new AbortController();
+      const token = utils.cancelTokenFromSignal(controller.signal);
+
+      expect(getEventListeners(controller.signal, 'abort').length).to.be(1);
+      token.release();
+      expect(getEventListeners(controller.signal, 'abort').length).to.be(0);
+      controller.abort();
+      expect(token.reason).to.be(undefined);
+    });
+  });
 });
@@ -5,8 +5,12 @@ declare module 'faye' {
     subscription?: string;
   };
 
-  type Subscription = {
+  type Subscription = PromiseLike<void> & {
+    callback: (callback: () => unknown, context?: unknown) => Subscription;
     cancel: () => void;
+    errback: (callback: (error: Error) => unknown, context?: unknown) => Subscription;
+    unsubscribe: () => void;
+    withChannel: (callback: (channel: string, message: Message) => unknown, context?: unknown) => Subscription;
   };
 
   type Callback = (message: Message) => unknown;
@@ -21,6 +25,11 @@ declare module 'faye' {
 
     addExtension(extension: Middleware): void;
 
-    subscribe(channel: string, callback: Callback): Promise<Subscription>;
+    // undefined when the client is not connected
+    disconnect(): PromiseLike<void> | undefined;
+
+    on(event: 'transport:down' | 'transport:up', callback: () => unknown): void;
+
+    subscribe(channel: string, callback: Callback): Subscription;
   }
 }